@@ -0,0 +1,480 @@
+const http = require('http');
+const { createHash, timingSafeEqual } = require('crypto');
+const { readFileSync, createReadStream } = require('fs');
+const { join } = require('path');
+const { MAX_UPLOAD_BYTES, IngestError, sanitizeSoundName, ingestBuffer } = require('./ingest');
+const { getMappedEvents, removeEmptyMapping, getPlaylist } = require('./pools');
+const { parseDays, addRule } = require('./rules');
+const { parseTime } = require('./cooldowns');
+const { getPlaybackVolume } = require('./volume');
+const { MAX_IMPORT_BYTES, ImportError, exportGuild, importGuild } = require('./transfer');
+
+// JSON bodies are small; uploads may be as large as an attachment
+const MAX_JSON_BYTES = 64 * 1024;
+
+const MAPPING_TYPES = ['user', 'channel', 'role', 'default'];
+const EVENTS = ['join', 'move', 'leave'];
+
+// Discord IDs: users, channels and roles are all snowflakes
+const SNOWFLAKE = /^\d{17,20}$/;
+
+// Failures whose message is safe to send back to the caller
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// Compare tokens without leaking how much of them matched
+function tokensMatch(given, expected) {
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(given), digest(expected));
+}
+
+// Turn "/api/guilds/:guildId" into a matcher that hands back the named parts
+function compileRoute(method, pattern, handler) {
+    const keys = [];
+    const source = pattern.replace(/:(\w+)/g, (match, key) => {
+        keys.push(key);
+        return '([^/]+)';
+    });
+    return { method, regex: new RegExp(`^${source}$`), keys, handler };
+}
+
+// Read the whole request body, refusing anything over the limit
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, `Request body is larger than ${limit} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+async function readJson(req) {
+    const body = await readBody(req, MAX_JSON_BYTES);
+    if (body.length === 0) return {};
+    let parsed;
+    try {
+        parsed = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Request body is not valid JSON');
+    }
+    if (!isObject(parsed)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return parsed;
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Optional number from the query string
+function getNumber(query, name) {
+    if (!query.has(name)) return undefined;
+    const value = Number(query.get(name));
+    if (!Number.isFinite(value) || value < 0) {
+        throw new HttpError(400, `${name} must be a positive number`);
+    }
+    return value;
+}
+
+// Token-protected HTTP API for managing sounds and mappings, plus a small dashboard page.
+// Only meant to listen on localhost or behind something that adds TLS.
+function createAdminServer({ token, client, storage, library, playback, referencePath, log }) {
+    const dashboard = readFileSync(join(__dirname, 'dashboard.html'));
+
+    function getGuild(guildId) {
+        if (!client.guilds.cache.has(guildId)) {
+            throw new HttpError(404, `The bot is not in guild ${guildId}`);
+        }
+        return storage.getGuild(guildId);
+    }
+
+    function requireSound(guildId, sound) {
+        if (!library.has(guildId, sound)) {
+            throw new HttpError(404, `There is no sound named '${sound}'`);
+        }
+    }
+
+    function save(guildId) {
+        if (!storage.saveGuild(guildId)) {
+            throw new HttpError(500, 'Error saving guild data');
+        }
+    }
+
+    // A pool from { sound }, { sounds: [{ name, weight }], noRepeat } or { playlist }
+    function parsePool(guildId, guild, body) {
+        if (body.playlist) {
+            if (typeof body.playlist !== 'string' || !getPlaylist(guild, body.playlist)) {
+                throw new HttpError(404, `There is no playlist named '${body.playlist}'`);
+            }
+            return { playlist: body.playlist };
+        }
+
+        const entries = body.sound ? [{ name: body.sound, weight: 1 }] : body.sounds;
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new HttpError(400, 'Give a sound, a list of sounds or a playlist');
+        }
+        for (const entry of entries) {
+            requireSound(guildId, entry.name);
+            if (entry.weight !== undefined && (!Number.isInteger(entry.weight) || entry.weight < 1)) {
+                throw new HttpError(400, 'Weights must be whole numbers of at least 1');
+            }
+        }
+
+        const pool = { sounds: entries.map(entry => ({ name: entry.name, weight: entry.weight ?? 1 })) };
+        if (body.noRepeat !== undefined) {
+            if (!Number.isInteger(body.noRepeat) || body.noRepeat < 0 || body.noRepeat > 10) {
+                throw new HttpError(400, 'noRepeat must be a whole number from 0 to 10');
+            }
+            pool.noRepeat = body.noRepeat;
+        }
+        return pool;
+    }
+
+    function parseEvent(value = 'join') {
+        if (!EVENTS.includes(value)) {
+            throw new HttpError(400, `event must be one of: ${EVENTS.join(', ')}`);
+        }
+        return value;
+    }
+
+    function parseTarget(type, id) {
+        if (!MAPPING_TYPES.includes(type)) {
+            throw new HttpError(400, `Mapping type must be one of: ${MAPPING_TYPES.join(', ')}`);
+        }
+        if (type !== 'default' && !SNOWFLAKE.test(id)) {
+            throw new HttpError(400, `${id} is not a Discord ${type} ID`);
+        }
+        return { type, id };
+    }
+
+    // New mappings must point at a member, channel or role that is in the guild.
+    // Members are fetched, since the bot does not keep them all cached.
+    async function requireTarget(guildId, target) {
+        const discordGuild = client.guilds.cache.get(guildId);
+        const found = {
+            default: () => true,
+            user: () => discordGuild.members.cache.has(target.id) ||
+                discordGuild.members.fetch(target.id).then(() => true, () => false),
+            channel: () => discordGuild.channels.cache.has(target.id),
+            role: () => discordGuild.roles.cache.has(target.id)
+        }[target.type]();
+        if (!await found) {
+            throw new HttpError(404, `There is no ${target.type} ${target.id} in guild ${guildId}`);
+        }
+    }
+
+    // Rule conditions as stored, from the same fields /unrk rule add takes
+    function parseConditions(input = {}) {
+        if (!isObject(input)) {
+            throw new HttpError(400, 'conditions must be an object');
+        }
+        const conditions = {};
+        for (const key of ['roleId', 'channelId']) {
+            if (input[key] !== undefined && (typeof input[key] !== 'string' || !SNOWFLAKE.test(input[key]))) {
+                throw new HttpError(400, `${key} must be a Discord ID`);
+            }
+            if (input[key]) conditions[key] = input[key];
+        }
+        if (input.days) {
+            conditions.days = parseDays(Array.isArray(input.days) ? input.days.join(',') : String(input.days));
+            if (!conditions.days) {
+                throw new HttpError(400, 'days should be a list like "mon,wed,fri", or "weekdays" or "weekends"');
+            }
+        }
+        if (input.from || input.to) {
+            if (typeof input.from !== 'string' || typeof input.to !== 'string' ||
+                parseTime(input.from) === null || parseTime(input.to) === null) {
+                throw new HttpError(400, 'Time windows need both from and to as HH:MM');
+            }
+            conditions.from = input.from.trim();
+            conditions.to = input.to.trim();
+        }
+        for (const key of ['minMembers', 'maxMembers']) {
+            if (input[key] !== undefined) {
+                if (!Number.isInteger(input[key]) || input[key] < 0) {
+                    throw new HttpError(400, `${key} must be a whole number`);
+                }
+                conditions[key] = input[key];
+            }
+        }
+        if (input.firstToday) conditions.firstToday = true;
+        return conditions;
+    }
+
+    const routes = [
+        compileRoute('GET', '/api/guilds', () =>
+            client.guilds.cache.map(guild => ({ id: guild.id, name: guild.name }))
+        ),
+
+        compileRoute('GET', '/api/guilds/:guildId/sounds', ({ params }) => {
+            getGuild(params.guildId);
+            return library.list(params.guildId)
+                .sort()
+                .map(name => ({ name, ...library.getInfo(params.guildId, name) }));
+        }),
+
+        // The body is the raw audio file; name and trim settings come from the query string
+        compileRoute('POST', '/api/guilds/:guildId/sounds', async ({ req, params, query }) => {
+            getGuild(params.guildId);
+            const name = sanitizeSoundName(query.get('name') || '');
+            if (!name) {
+                throw new HttpError(400, 'Give the sound a name using letters, numbers, spaces, dashes and underscores');
+            }
+            const fileName = `${name}.mp3`;
+            if (library.has(params.guildId, fileName)) {
+                throw new HttpError(409, `A sound named '${name}' already exists`);
+            }
+
+            const buffer = await readBody(req, MAX_UPLOAD_BYTES);
+            let result;
+            try {
+                result = await ingestBuffer(buffer, {
+                    filePath: join(library.getGuildDir(params.guildId), fileName),
+                    referencePath,
+                    trim: {
+                        start: getNumber(query, 'start'),
+                        end: getNumber(query, 'end'),
+                        fadeIn: getNumber(query, 'fadein'),
+                        fadeOut: getNumber(query, 'fadeout')
+                    },
+                    log
+                });
+            } catch (error) {
+                if (error instanceof IngestError) throw new HttpError(400, error.message);
+                throw error;
+            }
+
+            library.add(params.guildId, fileName, {
+                uploadedBy: null,
+                uploadedAt: new Date().toISOString(),
+                duration: result.duration
+            });
+            log.info(`New sound added through the admin API: ${fileName} (${result.format}, ${result.duration.toFixed(1)}s)`);
+            return { status: 201, body: { name: fileName, duration: result.duration } };
+        }),
+
+        compileRoute('DELETE', '/api/guilds/:guildId/sounds/:sound', ({ params }) => {
+            getGuild(params.guildId);
+            requireSound(params.guildId, params.sound);
+            if (!library.remove(params.guildId, params.sound)) {
+                throw new HttpError(500, 'Error saving guild data');
+            }
+            return { status: 204 };
+        }),
+
+        compileRoute('GET', '/api/guilds/:guildId/sounds/:sound/file', ({ res, params }) => {
+            getGuild(params.guildId);
+            requireSound(params.guildId, params.sound);
+            res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+            createReadStream(library.getPath(params.guildId, params.sound)).pipe(res);
+        }),
+
+        compileRoute('GET', '/api/guilds/:guildId/mappings', ({ params }) => {
+            const { userSounds, channelSounds, roleSounds, defaultSounds, playlists, rules } = getGuild(params.guildId);
+            return { userSounds, channelSounds, roleSounds, defaultSounds, playlists, rules };
+        }),
+
+        // Replace the pool for one event of a user, channel, role or the server default
+        compileRoute('PUT', '/api/guilds/:guildId/mappings/:type/:id', async ({ req, params }) => {
+            const guild = getGuild(params.guildId);
+            const target = parseTarget(params.type, params.id);
+            await requireTarget(params.guildId, target);
+            const body = await readJson(req);
+            const event = parseEvent(body.event);
+            const pool = parsePool(params.guildId, guild, body);
+
+            getMappedEvents(guild, target, true)[event] = pool;
+            save(params.guildId);
+            log.info(`Set ${target.type} ${target.id} ${event} sound through the admin API`);
+            return pool;
+        }),
+
+        compileRoute('DELETE', '/api/guilds/:guildId/mappings/:type/:id', ({ params, query }) => {
+            const guild = getGuild(params.guildId);
+            const target = parseTarget(params.type, params.id);
+            const event = parseEvent(query.get('event') ?? undefined);
+            const events = getMappedEvents(guild, target, false);
+            if (!events?.[event]) {
+                throw new HttpError(404, `No ${event} sound is set for that ${target.type}`);
+            }
+
+            delete events[event];
+            removeEmptyMapping(guild, target);
+            save(params.guildId);
+            return { status: 204 };
+        }),
+
+        compileRoute('POST', '/api/guilds/:guildId/rules', async ({ req, params }) => {
+            const guild = getGuild(params.guildId);
+            const body = await readJson(req);
+            const rule = addRule(guild, {
+                event: parseEvent(body.event),
+                pool: parsePool(params.guildId, guild, body),
+                conditions: parseConditions(body.conditions)
+            });
+            save(params.guildId);
+            log.info(`Added rule ${rule.id} in guild ${params.guildId} through the admin API`);
+            return { status: 201, body: rule };
+        }),
+
+        compileRoute('DELETE', '/api/guilds/:guildId/rules/:id', ({ params }) => {
+            const guild = getGuild(params.guildId);
+            const id = Number(params.id);
+            if (!guild.rules.some(rule => rule.id === id)) {
+                throw new HttpError(404, `There is no rule #${params.id}`);
+            }
+            guild.rules = guild.rules.filter(rule => rule.id !== id);
+            save(params.guildId);
+            return { status: 204 };
+        }),
+
+        // The same archive /unrk export attaches, without Discord's attachment size limit
+        compileRoute('GET', '/api/guilds/:guildId/export', ({ res, params }) => {
+            getGuild(params.guildId);
+            const discordGuild = client.guilds.cache.get(params.guildId);
+            const archive = exportGuild(params.guildId, { storage, library, guildName: discordGuild.name });
+            res.writeHead(200, {
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="unrk-export-${params.guildId}.zip"`
+            });
+            res.end(archive);
+        }),
+
+        // The body is an export archive; conflict comes from the query string and defaults to skip
+        compileRoute('POST', '/api/guilds/:guildId/import', async ({ req, params, query }) => {
+            getGuild(params.guildId);
+            const discordGuild = client.guilds.cache.get(params.guildId);
+            const buffer = await readBody(req, MAX_IMPORT_BYTES);
+            try {
+                return await importGuild(buffer, {
+                    guildId: params.guildId,
+                    storage,
+                    library,
+                    conflict: query.get('conflict') ?? 'skip',
+                    channelIds: [...discordGuild.channels.cache.keys()],
+                    roleIds: [...discordGuild.roles.cache.keys()],
+                    referencePath,
+                    log
+                });
+            } catch (error) {
+                if (error instanceof ImportError) throw new HttpError(400, error.message);
+                throw error;
+            }
+        }),
+
+        // Play a sound in a voice channel, for stream decks and other buttons outside Discord
+        compileRoute('POST', '/api/guilds/:guildId/play', async ({ req, params }) => {
+            const guild = getGuild(params.guildId);
+            const body = await readJson(req);
+            requireSound(params.guildId, body.sound);
+
+            const channel = client.guilds.cache.get(params.guildId).channels.cache.get(body.channelId);
+            if (!channel || !channel.isVoiceBased()) {
+                throw new HttpError(400, 'channelId must be a voice channel in the guild');
+            }
+            if (body.volume !== undefined && (!Number.isFinite(body.volume) || body.volume < 0 || body.volume > 200)) {
+                throw new HttpError(400, 'volume must be a percentage from 0 to 200');
+            }
+
+            const position = playback.enqueue(params.guildId, {
+                name: body.sound,
+                filePath: library.getPath(params.guildId, body.sound),
+                channel,
+                volume: getPlaybackVolume(guild, body.sound, { volume: body.volume }),
+                userId: null,
+                trigger: 'api'
+            });
+            log.info(`Playing ${body.sound} in ${channel.name} through the admin API`);
+            return { position };
+        })
+    ];
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        // The page itself holds no data; it asks for the token and sends it with every call
+        if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(dashboard);
+            return;
+        }
+
+        const auth = req.headers.authorization || '';
+        if (!auth.startsWith('Bearer ') || !tokensMatch(auth.slice('Bearer '.length), token)) {
+            sendJson(res, 401, { error: 'Missing or wrong token' });
+            return;
+        }
+
+        const matches = routes
+            .map(route => ({ route, match: route.regex.exec(url.pathname) }))
+            .filter(({ match }) => match);
+        if (matches.length === 0) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        const found = matches.find(({ route }) => route.method === req.method);
+        if (!found) {
+            sendJson(res, 405, { error: `Use ${matches.map(({ route }) => route.method).join(' or ')}` });
+            return;
+        }
+
+        let params;
+        try {
+            params = Object.fromEntries(found.route.keys.map((key, index) => [key, decodeURIComponent(found.match[index + 1])]));
+        } catch (error) {
+            throw new HttpError(400, 'The URL has a malformed escape sequence');
+        }
+        const result = await found.route.handler({ req, res, params, query: url.searchParams });
+        if (res.headersSent) return;
+
+        if (result && result.status) {
+            sendJson(res, result.status, result.body);
+        } else {
+            sendJson(res, 200, result);
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            if (error instanceof HttpError) {
+                sendJson(res, error.status, { error: error.message });
+                return;
+            }
+            log.error(`Admin API error on ${req.method} ${req.url}:`, error);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Internal error' });
+            }
+        });
+    });
+
+    return {
+        listen(port, host) {
+            return server.listen(port, host, () => log.info(`Admin API listening on http://${host}:${server.address().port}`));
+        },
+        close() {
+            server.close();
+        }
+    };
+}
+
+module.exports = { createAdminServer };
@@ -0,0 +1,128 @@
+const { REST, Routes } = require('discord.js');
+const { join } = require('path');
+const { existsSync, mkdirSync } = require('fs');
+const { createPlaybackManager } = require('./playback');
+const { ingestSound, ingestBuffer, download } = require('./ingest');
+const { createSoundLibrary } = require('./library');
+const { DEFAULT_SOUNDBOARD_LIMITS, createJoinLimiter } = require('./cooldowns');
+const { createSoundResolver } = require('./resolver');
+const { isTtsSound } = require('./tts');
+const { createMetrics } = require('./metrics');
+const { buildCommands, handleInteraction } = require('./commands');
+const { getPresence, joinHomeChannel, handleVoiceStateUpdate } = require('./voiceEvents');
+
+// Wire the sound library, resolver, playback and command handlers to a Discord client.
+// Tests pass a fake client, playback, ingestSound, ingestBuffer and download to run the flows offline.
+function createBot({
+    client,
+    storage,
+    soundsDir,
+    tts,
+    token,
+    log,
+    metrics = createMetrics(),
+    playback,
+    ingestSound: ingest = ingestSound,
+    ingestBuffer: ingestReceived = ingestBuffer,
+    download: downloadAttachment = download
+}) {
+    const library = createSoundLibrary({ soundsDir, storage, log });
+
+    // Everything the command and voice event handlers share
+    const context = {
+        client,
+        storage,
+        library,
+        tts,
+        log,
+        metrics,
+        soundsDir,
+        ingestSound: ingest,
+        ingestBuffer: ingestReceived,
+        download: downloadAttachment,
+        // Uploads are normalized to the loudness of this clip
+        loudnessReference: join(soundsDir, 'spongebob-horn.mp3'),
+        // Picks the sound for each voice event
+        resolver: createSoundResolver({ storage, library, log }),
+        // Cooldowns and rate limits for join sounds
+        joinLimiter: createJoinLimiter(),
+        // Soundboard presses have limits of their own, counted apart from voice events
+        soundboardLimiter: createJoinLimiter(DEFAULT_SOUNDBOARD_LIMITS)
+    };
+
+    // Per-guild players and sound queues
+    context.playback = playback || createPlaybackManager({
+        log,
+        metrics,
+        onPlay: (guildId, item) => {
+            metrics.increment('unrk_plays_total', { trigger: item.trigger });
+            if (!isTtsSound(item.name)) library.recordPlay(guildId, item.name);
+            storage.recordPlay({
+                guildId,
+                channelId: item.channel.id,
+                userId: item.userId ?? null,
+                sound: item.name,
+                trigger: item.trigger,
+                playedAt: new Date().toISOString()
+            });
+        },
+        getPresence: guildId => getPresence(guildId, context)
+    });
+
+    // When the client is ready, run this code (only once)
+    client.once('ready', async () => {
+        log.info('Bot is ready and connected to Discord!');
+        log.info(`Bot is in ${client.guilds.cache.size} servers`);
+
+        // Create sounds directory if it doesn't exist
+        if (!existsSync(soundsDir)) {
+            mkdirSync(soundsDir);
+            log.info('Created sounds directory');
+        }
+
+        // Sort mappings from the old soundMappings.json into the guilds they belong to
+        storage.adoptLegacyMappings(client.guilds.cache.map(guild => ({
+            id: guild.id,
+            channelIds: [...guild.channels.cache.keys()]
+        })));
+
+        // Settle back into home channels where people are already hanging out
+        client.guilds.cache.forEach(guild => joinHomeChannel(guild, context));
+
+        // Register slash commands
+        const rest = new REST({ version: '10' }).setToken(token);
+
+        try {
+            log.info('Started refreshing application (/) commands.');
+            await rest.put(
+                Routes.applicationCommands(client.user.id),
+                { body: buildCommands() },
+            );
+            log.info('Successfully reloaded application (/) commands.');
+        } catch (error) {
+            log.error('Error refreshing application commands:', error);
+        }
+    });
+
+    // Handle slash commands, autocomplete and soundboard presses
+    client.on('interactionCreate', interaction => {
+        handleInteraction(interaction, context).catch(error => {
+            log.error('Error handling interaction:', error, { guildId: interaction.guildId, userId: interaction.user.id });
+        });
+    });
+
+    // Listen for voice state updates
+    client.on('voiceStateUpdate', (oldState, newState) => {
+        handleVoiceStateUpdate(oldState, newState, context).catch(error => {
+            log.error('Error in voice state update handler:', error, { guildId: newState.guild.id, userId: newState.member.id });
+        });
+    });
+
+    return {
+        context,
+        handleInteraction: interaction => handleInteraction(interaction, context),
+        handleVoiceStateUpdate: (oldState, newState) => handleVoiceStateUpdate(oldState, newState, context)
+    };
+}
+
+module.exports = { createBot };
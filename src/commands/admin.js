@@ -0,0 +1,241 @@
+const { ACTIONS, grant, revoke } = require('../permissions');
+const { DEFAULT_LIMITS, DEFAULT_SOUNDBOARD_LIMITS, parseTime } = require('../cooldowns');
+const { DEFAULT_VOICE_EVENTS, DEFAULT_SPEAKING, DEFAULT_PRESENCE, speakingModes } = require('../settings');
+const { joinHomeChannel } = require('../voiceEvents');
+
+// /unrkadmin allow and revoke
+async function handlePermissionChange(interaction, context) {
+    const { storage, log } = context;
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+    const { settings } = storage.getGuild(guildId);
+
+    const action = interaction.options.getString('action');
+    const role = interaction.options.getRole('role');
+
+    const changed = subcommand === 'allow'
+        ? grant(settings, action, role.id)
+        : revoke(settings, action, role.id);
+    if (!changed) {
+        await interaction.reply({
+            content: subcommand === 'allow'
+                ? `${role} can already do that (${ACTIONS[action].toLowerCase()}).`
+                : `${role} was not allowed to do that (${ACTIONS[action].toLowerCase()}).`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    if (storage.saveGuild(guildId)) {
+        await interaction.reply({
+            content: subcommand === 'allow'
+                ? `${role} can now: ${ACTIONS[action].toLowerCase()}.`
+                : `${role} can no longer: ${ACTIONS[action].toLowerCase()}.`,
+            ephemeral: true
+        });
+        log.info(`${subcommand === 'allow' ? 'Allowed' : 'Revoked'} ${action} for role ${role.id} in guild ${guildId}`);
+    } else {
+        await interaction.reply({ content: 'Error saving permissions. Please try again.', ephemeral: true });
+    }
+}
+
+// /unrkadmin permissions
+async function handlePermissions(interaction, context) {
+    const { settings } = context.storage.getGuild(interaction.guildId);
+
+    const lines = Object.entries(ACTIONS).map(([action, description]) => {
+        const roles = settings.permissions?.[action] || [];
+        const allowed = roles.length > 0 ? roles.map(roleId => `<@&${roleId}>`).join(', ') : 'Manage Server only';
+        return `**${description}**: ${allowed}`;
+    });
+    await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+}
+
+// The settings key, defaults and label for each kind of limit /unrkadmin limits can change
+const limitTypes = {
+    join: { key: 'joinLimits', defaults: DEFAULT_LIMITS, label: 'Join sound limits' },
+    soundboard: { key: 'soundboardLimits', defaults: DEFAULT_SOUNDBOARD_LIMITS, label: 'Soundboard limits' }
+};
+
+// /unrkadmin limits
+async function handleLimits(interaction, context) {
+    const { storage, log } = context;
+    const guildId = interaction.guildId;
+    const { settings } = storage.getGuild(guildId);
+
+    const type = limitTypes[interaction.options.getString('type') ?? 'join'];
+    const limits = settings[type.key] || {};
+    const changes = {};
+
+    const numericOptions = {
+        usercooldown: 'userCooldown',
+        channelcooldown: 'channelCooldown',
+        ratelimit: 'guildLimit',
+        ratewindow: 'guildWindow'
+    };
+    for (const [option, key] of Object.entries(numericOptions)) {
+        const value = interaction.options.getInteger(option);
+        if (value !== null) {
+            changes[key] = value;
+        }
+    }
+
+    const quietStart = interaction.options.getString('quietstart');
+    const quietEnd = interaction.options.getString('quietend');
+    if (quietStart?.trim().toLowerCase() === 'off') {
+        changes.quietStart = null;
+        changes.quietEnd = null;
+    } else if (quietStart || quietEnd) {
+        const start = quietStart ?? limits.quietStart;
+        const end = quietEnd ?? limits.quietEnd;
+        if (!start || !end || parseTime(start) === null || parseTime(end) === null) {
+            await interaction.reply({ content: 'Quiet hours need a start and end time as HH:MM, for example 23:00 and 07:00.', ephemeral: true });
+            return;
+        }
+        changes.quietStart = start.trim();
+        changes.quietEnd = end.trim();
+    }
+
+    if (Object.keys(changes).length > 0) {
+        settings[type.key] = { ...limits, ...changes };
+        if (!storage.saveGuild(guildId)) {
+            await interaction.reply({ content: 'Error saving limits. Please try again.', ephemeral: true });
+            return;
+        }
+        log.info(`Updated ${type.label.toLowerCase()} in guild ${guildId}: ${JSON.stringify(changes)}`);
+    }
+
+    const current = { ...type.defaults, ...settings[type.key] };
+    await interaction.reply({
+        content: [
+            `**${type.label}**`,
+            `Per-member cooldown: ${current.userCooldown}s`,
+            `Per-channel cooldown: ${current.channelCooldown}s`,
+            `Server rate limit: ${current.guildLimit} per ${current.guildWindow}s`,
+            `Quiet hours: ${current.quietStart && current.quietEnd ? `${current.quietStart}-${current.quietEnd}` : 'off'}`
+        ].join('\n'),
+        ephemeral: true
+    });
+}
+
+// /unrkadmin voiceevents
+async function handleVoiceEvents(interaction, context) {
+    const { storage, log } = context;
+    const guildId = interaction.guildId;
+    const { settings } = storage.getGuild(guildId);
+
+    const changes = {};
+    for (const option of ['moves', 'bots']) {
+        const value = interaction.options.getBoolean(option);
+        if (value !== null) {
+            changes[option] = value;
+        }
+    }
+
+    if (Object.keys(changes).length > 0) {
+        settings.voiceEvents = { ...settings.voiceEvents, ...changes };
+        if (!storage.saveGuild(guildId)) {
+            await interaction.reply({ content: 'Error saving voice event settings. Please try again.', ephemeral: true });
+            return;
+        }
+        log.info(`Updated voice events in guild ${guildId}: ${JSON.stringify(changes)}`);
+    }
+
+    const current = { ...DEFAULT_VOICE_EVENTS, ...settings.voiceEvents };
+    await interaction.reply({
+        content: [
+            '**Voice events**',
+            `Sounds on moving between channels: ${current.moves ? 'on' : 'off'}`,
+            `Sounds for other bots: ${current.bots ? 'on' : 'off'}`,
+            'Leave sounds only play where one has been set with /unrk setsound event:leave.'
+        ].join('\n'),
+        ephemeral: true
+    });
+}
+
+// /unrkadmin stay
+async function handleStay(interaction, context) {
+    const { storage, playback, log } = context;
+    const guildId = interaction.guildId;
+    const { settings } = storage.getGuild(guildId);
+
+    const changes = {};
+    const enabled = interaction.options.getBoolean('enabled');
+    const channel = interaction.options.getChannel('channel');
+    const idle = interaction.options.getInteger('idle');
+    if (enabled !== null) changes.stay = enabled;
+    if (interaction.options.getBoolean('follow')) changes.channelId = null;
+    if (channel) changes.channelId = channel.id;
+    if (idle !== null) changes.idleTimeout = idle;
+
+    if (Object.keys(changes).length > 0) {
+        settings.presence = { ...settings.presence, ...changes };
+        if (!storage.saveGuild(guildId)) {
+            await interaction.reply({ content: 'Error saving stay settings. Please try again.', ephemeral: true });
+            return;
+        }
+        log.info(`Updated stay settings in guild ${guildId}: ${JSON.stringify(changes)}`);
+
+        // Leave now when switched off while idle, or head home if people are already there
+        if (changes.stay === false && !playback.isPlaying(guildId)) {
+            playback.stop(guildId);
+        }
+        joinHomeChannel(interaction.guild, context);
+    }
+
+    const current = { ...DEFAULT_PRESENCE, ...settings.presence };
+    await interaction.reply({
+        content: [
+            '**Staying in voice**',
+            `Stay between sounds: ${current.stay ? 'on' : 'off'}`,
+            `Home channel: ${current.channelId ? `<#${current.channelId}>` : 'none, stays wherever the last sound played'}`,
+            `Leaves after: ${current.idleTimeout} minute${current.idleTimeout === 1 ? '' : 's'} without a sound, or as soon as the channel is empty`
+        ].join('\n'),
+        ephemeral: true
+    });
+}
+
+// /unrkadmin speaking
+async function handleSpeaking(interaction, context) {
+    const { storage, log } = context;
+    const guildId = interaction.guildId;
+    const { settings } = storage.getGuild(guildId);
+
+    const changes = {};
+    const mode = interaction.options.getString('mode');
+    const maxWait = interaction.options.getInteger('maxwait');
+    const duckVolume = interaction.options.getInteger('duckvolume');
+    if (mode !== null) changes.mode = mode;
+    if (maxWait !== null) changes.maxWait = maxWait;
+    if (duckVolume !== null) changes.duckVolume = duckVolume;
+
+    if (Object.keys(changes).length > 0) {
+        settings.speaking = { ...settings.speaking, ...changes };
+        if (!storage.saveGuild(guildId)) {
+            await interaction.reply({ content: 'Error saving speaking settings. Please try again.', ephemeral: true });
+            return;
+        }
+        log.info(`Updated speaking settings in guild ${guildId}: ${JSON.stringify(changes)}`);
+    }
+
+    const current = { ...DEFAULT_SPEAKING, ...settings.speaking };
+    await interaction.reply({
+        content: [
+            '**While people are talking**',
+            `Join, move and leave sounds: ${speakingModes[current.mode]}`,
+            `Longest wait for a pause: ${current.maxWait}s`,
+            `Volume while talking, when playing quieter: ${current.duckVolume}%`,
+            'Sounds played with /unrk play and /unrk random are never held back.'
+        ].join('\n'),
+        ephemeral: true
+    });
+}
+
+module.exports = {
+    handlePermissionChange,
+    handlePermissions,
+    handleLimits,
+    handleVoiceEvents,
+    handleStay,
+    handleSpeaking
+};
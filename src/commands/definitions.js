@@ -0,0 +1,734 @@
+const { SlashCommandBuilder, ChannelType, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { ACTIONS } = require('../permissions');
+const { MAX_TTS_LENGTH } = require('../tts');
+const { MAX_VOLUME } = require('../volume');
+const { speakingModes } = require('../settings');
+
+// The /unrk and /unrkadmin slash commands, ready to register with Discord
+function buildCommands() {
+    const actionChoices = Object.entries(ACTIONS).map(([value, name]) => ({ name, value }));
+    const targetChoices = [
+        { name: 'Channel', value: 'channel' },
+        { name: 'User', value: 'user' },
+        { name: 'Role', value: 'role' },
+        { name: 'Server default', value: 'default' }
+    ];
+    const eventChoices = [
+        { name: 'Joining a channel', value: 'join' },
+        { name: 'Moving into a channel', value: 'move' },
+        { name: 'Leaving a channel', value: 'leave' }
+    ];
+    return [
+        new SlashCommandBuilder()
+            .setName('unrk')
+            .setDescription('Control the Unrk bot')
+            .setContexts(InteractionContextType.Guild)
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('stop')
+                    .setDescription('Stop the bot and make it leave the voice channel')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('addsound')
+                    .setDescription('Add a new sound to the bot')
+                    .addAttachmentOption(option =>
+                        option.setName('sound')
+                            .setDescription('The audio file to add (MP3, M4A, WAV, OGG, WebM or FLAC)')
+                            .setRequired(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Name for the sound (letters, numbers, spaces, dashes and underscores)')
+                            .setRequired(true)
+                    )
+                    .addNumberOption(option =>
+                        option.setName('start')
+                            .setDescription('Keep the clip from this many seconds in')
+                            .setMinValue(0)
+                    )
+                    .addNumberOption(option =>
+                        option.setName('end')
+                            .setDescription('Keep the clip up to this many seconds in')
+                            .setMinValue(0)
+                    )
+                    .addNumberOption(option =>
+                        option.setName('fadein')
+                            .setDescription('Fade in over this many seconds')
+                            .setMinValue(0)
+                            .setMaxValue(10)
+                    )
+                    .addNumberOption(option =>
+                        option.setName('fadeout')
+                            .setDescription('Fade out over this many seconds')
+                            .setMinValue(0)
+                            .setMaxValue(10)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('preview')
+                    .setDescription('Listen to a sound privately before using it')
+                    .addStringOption(option =>
+                        option.setName('sound')
+                            .setDescription('Name of the sound to preview')
+                            .setRequired(true)
+                            .setAutocomplete(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('random')
+                    .setDescription('Play a random sound in your current voice channel')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('play')
+                    .setDescription('Play a specific sound in a voice channel')
+                    .addStringOption(option =>
+                        option.setName('sound')
+                            .setDescription('Name of the sound to play')
+                            .setRequired(true)
+                            .setAutocomplete(true)
+                    )
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Voice channel to play in (defaults to your current one)')
+                            .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('volume')
+                            .setDescription('Volume in percent (defaults to the sound\'s own volume)')
+                            .setMinValue(1)
+                            .setMaxValue(200)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('setsound')
+                    .setDescription('Set the sound for a channel, user, role or the whole server')
+                    .addStringOption(option =>
+                        option.setName('type')
+                            .setDescription('What to set the sound for')
+                            .setRequired(true)
+                            .addChoices(...targetChoices)
+                    )
+                    .addStringOption(option =>
+                        option.setName('sound')
+                            .setDescription('Name of the sound to use')
+                            .setAutocomplete(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('playlist')
+                            .setDescription('Use a playlist instead of a single sound')
+                            .setAutocomplete(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('tts')
+                            .setDescription('Text to speak instead of a sound; {user}, {channel} and {server} are filled in')
+                            .setMaxLength(MAX_TTS_LENGTH)
+                    )
+                    .addBooleanOption(option =>
+                        option.setName('add')
+                            .setDescription('Add the sound to the existing pool instead of replacing it')
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('weight')
+                            .setDescription('How likely the sound is to be picked from the pool (defaults to 1)')
+                            .setMinValue(1)
+                            .setMaxValue(100)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('norepeat')
+                            .setDescription('Avoid repeating any of the last this many picks from the pool')
+                            .setMinValue(0)
+                            .setMaxValue(10)
+                    )
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Voice channel for a channel sound (defaults to the one you are in)')
+                            .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+                    )
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('Member for a user sound (defaults to you)')
+                    )
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('Role for a role sound')
+                    )
+                    .addStringOption(option =>
+                        option.setName('event')
+                            .setDescription('When the sound plays (defaults to joining)')
+                            .addChoices(...eventChoices)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('clearsound')
+                    .setDescription('Remove the sound set for a channel, user, role or the whole server')
+                    .addStringOption(option =>
+                        option.setName('type')
+                            .setDescription('What to clear the sound for')
+                            .setRequired(true)
+                            .addChoices(...targetChoices)
+                    )
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Voice channel whose sound to clear (defaults to the one you are in)')
+                            .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+                    )
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('Member whose sound to clear (defaults to you)')
+                    )
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('Role whose sound to clear')
+                    )
+                    .addStringOption(option =>
+                        option.setName('sound')
+                            .setDescription('Only take this sound out of the pool')
+                            .setAutocomplete(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('event')
+                            .setDescription('When the sound plays (defaults to joining)')
+                            .addChoices(...eventChoices)
+                    )
+            )
+            .addSubcommandGroup(group =>
+                group
+                    .setName('playlist')
+                    .setDescription('Manage named pools of sounds')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('create')
+                            .setDescription('Create an empty playlist')
+                            .addStringOption(option =>
+                                option.setName('name')
+                                    .setDescription('Name of the playlist')
+                                    .setRequired(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('add')
+                            .setDescription('Add a sound to a playlist')
+                            .addStringOption(option =>
+                                option.setName('playlist')
+                                    .setDescription('Name of the playlist')
+                                    .setRequired(true)
+                                    .setAutocomplete(true)
+                            )
+                            .addStringOption(option =>
+                                option.setName('sound')
+                                    .setDescription('Name of the sound to add')
+                                    .setRequired(true)
+                                    .setAutocomplete(true)
+                            )
+                            .addIntegerOption(option =>
+                                option.setName('weight')
+                                    .setDescription('How likely the sound is to be picked (defaults to 1)')
+                                    .setMinValue(1)
+                                    .setMaxValue(100)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('remove')
+                            .setDescription('Take a sound out of a playlist')
+                            .addStringOption(option =>
+                                option.setName('playlist')
+                                    .setDescription('Name of the playlist')
+                                    .setRequired(true)
+                                    .setAutocomplete(true)
+                            )
+                            .addStringOption(option =>
+                                option.setName('sound')
+                                    .setDescription('Name of the sound to remove')
+                                    .setRequired(true)
+                                    .setAutocomplete(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('norepeat')
+                            .setDescription('Avoid repeating recent picks from a playlist')
+                            .addStringOption(option =>
+                                option.setName('playlist')
+                                    .setDescription('Name of the playlist')
+                                    .setRequired(true)
+                                    .setAutocomplete(true)
+                            )
+                            .addIntegerOption(option =>
+                                option.setName('count')
+                                    .setDescription('How many of the last picks to avoid (0 to allow repeats)')
+                                    .setRequired(true)
+                                    .setMinValue(0)
+                                    .setMaxValue(10)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('schedule')
+                            .setDescription('Use a playlist for every join between two dates each year')
+                            .addStringOption(option =>
+                                option.setName('playlist')
+                                    .setDescription('Name of the playlist')
+                                    .setRequired(true)
+                                    .setAutocomplete(true)
+                            )
+                            .addStringOption(option =>
+                                option.setName('start')
+                                    .setDescription('First day as MM-DD, or "off" to remove the schedule')
+                                    .setRequired(true)
+                            )
+                            .addStringOption(option =>
+                                option.setName('end')
+                                    .setDescription('Last day as MM-DD')
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('delete')
+                            .setDescription('Delete a playlist and any mappings that use it')
+                            .addStringOption(option =>
+                                option.setName('playlist')
+                                    .setDescription('Name of the playlist')
+                                    .setRequired(true)
+                                    .setAutocomplete(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('list')
+                            .setDescription('Show all playlists')
+                    )
+            )
+            .addSubcommandGroup(group =>
+                group
+                    .setName('rule')
+                    .setDescription('Pick sounds by role, time, channel and who is around')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('add')
+                            .setDescription('Add a rule; every condition you set must match')
+                            .addStringOption(option =>
+                                option.setName('sound')
+                                    .setDescription('Sound to play when the rule matches')
+                                    .setAutocomplete(true)
+                            )
+                            .addStringOption(option =>
+                                option.setName('playlist')
+                                    .setDescription('Playlist to pick from when the rule matches')
+                                    .setAutocomplete(true)
+                            )
+                            .addStringOption(option =>
+                                option.setName('event')
+                                    .setDescription('Voice event the rule applies to (defaults to joining)')
+                                    .addChoices(...eventChoices)
+                            )
+                            .addRoleOption(option =>
+                                option.setName('role')
+                                    .setDescription('Only for members with this role')
+                            )
+                            .addChannelOption(option =>
+                                option.setName('channel')
+                                    .setDescription('Only in this voice channel')
+                                    .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+                            )
+                            .addStringOption(option =>
+                                option.setName('days')
+                                    .setDescription('Only on these days, e.g. "mon,wed", "weekdays" or "weekends"')
+                            )
+                            .addStringOption(option =>
+                                option.setName('from')
+                                    .setDescription('Only from this time, as HH:MM in the bot\'s time zone')
+                            )
+                            .addStringOption(option =>
+                                option.setName('to')
+                                    .setDescription('Only until this time, as HH:MM in the bot\'s time zone')
+                            )
+                            .addIntegerOption(option =>
+                                option.setName('minmembers')
+                                    .setDescription('Only when at least this many people are in the channel')
+                                    .setMinValue(0)
+                                    .setMaxValue(99)
+                            )
+                            .addIntegerOption(option =>
+                                option.setName('maxmembers')
+                                    .setDescription('Only when at most this many people are in the channel')
+                                    .setMinValue(0)
+                                    .setMaxValue(99)
+                            )
+                            .addBooleanOption(option =>
+                                option.setName('first')
+                                    .setDescription('Only for the first person to join the channel today')
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('list')
+                            .setDescription('Show all rules in the order they are checked')
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('remove')
+                            .setDescription('Remove a rule')
+                            .addIntegerOption(option =>
+                                option.setName('id')
+                                    .setDescription('Number of the rule, as shown by /unrk rule list')
+                                    .setRequired(true)
+                                    .setMinValue(1)
+                            )
+                    )
+            )
+            .addSubcommandGroup(group =>
+                group
+                    .setName('share')
+                    .setDescription('Share sounds with other servers and use theirs')
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('enable')
+                            .setDescription('Share this server\'s public sounds under a library name')
+                            .addStringOption(option =>
+                                option.setName('name')
+                                    .setDescription('Library name other servers subscribe with')
+                                    .setRequired(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('disable')
+                            .setDescription('Stop sharing; subscribed servers lose the sounds')
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('publish')
+                            .setDescription('Make one of this server\'s uploads available to subscribers')
+                            .addStringOption(option =>
+                                option.setName('sound')
+                                    .setDescription('Sound to publish')
+                                    .setRequired(true)
+                                    .setAutocomplete(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('unpublish')
+                            .setDescription('Stop sharing one of this server\'s sounds')
+                            .addStringOption(option =>
+                                option.setName('sound')
+                                    .setDescription('Sound to unpublish')
+                                    .setRequired(true)
+                                    .setAutocomplete(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('subscribe')
+                            .setDescription('Use another server\'s public sounds here')
+                            .addStringOption(option =>
+                                option.setName('library')
+                                    .setDescription('Library name, as shown by /unrk share list')
+                                    .setRequired(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('unsubscribe')
+                            .setDescription('Stop using another server\'s sounds')
+                            .addStringOption(option =>
+                                option.setName('library')
+                                    .setDescription('Library name, as shown by /unrk share list')
+                                    .setRequired(true)
+                            )
+                    )
+                    .addSubcommand(subcommand =>
+                        subcommand
+                            .setName('list')
+                            .setDescription('Show what this server shares, subscribes to and could subscribe to')
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('export')
+                    .setDescription('Download this server\'s sounds, metadata and mappings as a zip')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('import')
+                    .setDescription('Restore sounds, metadata and mappings from an /unrk export zip')
+                    .addAttachmentOption(option =>
+                        option.setName('file')
+                            .setDescription('The zip made by /unrk export')
+                            .setRequired(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('conflict')
+                            .setDescription('What to do with sounds, playlists and mappings that already exist (defaults to skip)')
+                            .addChoices(
+                                { name: 'Keep the existing ones', value: 'skip' },
+                                { name: 'Import under a new name', value: 'rename' },
+                                { name: 'Replace them', value: 'overwrite' }
+                            )
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('listsounds')
+                    .setDescription('List all available sounds')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('removesound')
+                    .setDescription('Remove a sound and any mappings that use it')
+                    .addStringOption(option =>
+                        option.setName('sound')
+                            .setDescription('Name of the sound to remove')
+                            .setRequired(true)
+                            .setAutocomplete(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('renamesound')
+                    .setDescription('Rename a sound and update any mappings that use it')
+                    .addStringOption(option =>
+                        option.setName('sound')
+                            .setDescription('Name of the sound to rename')
+                            .setRequired(true)
+                            .setAutocomplete(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('New name for the sound (letters, numbers, spaces, dashes and underscores)')
+                            .setRequired(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('tagsound')
+                    .setDescription('Set the tags used to find a sound')
+                    .addStringOption(option =>
+                        option.setName('sound')
+                            .setDescription('Name of the sound to tag')
+                            .setRequired(true)
+                            .setAutocomplete(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('tags')
+                            .setDescription('Comma-separated tags (leave empty to clear them)')
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('volume')
+                    .setDescription('Show or change the volume of a sound, the whole server or your own sounds')
+                    .addStringOption(option =>
+                        option.setName('type')
+                            .setDescription('Which volume to show or change')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Sound', value: 'sound' },
+                                { name: 'Server master volume', value: 'server' },
+                                { name: 'Sounds you trigger', value: 'me' }
+                            )
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('level')
+                            .setDescription('New volume in percent (leave empty to show the current one)')
+                            .setMinValue(0)
+                            .setMaxValue(MAX_VOLUME)
+                    )
+                    .addStringOption(option =>
+                        option.setName('sound')
+                            .setDescription('Sound to change, for the sound volume')
+                            .setAutocomplete(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('soundboard')
+                    .setDescription('Post a soundboard message with a button for every sound')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('stats')
+                    .setDescription('Show the most played sounds and most active members')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('Show what a single member has played instead')
+                    )
+                    .addBooleanOption(option =>
+                        option.setName('export')
+                            .setDescription('Attach every play as a CSV file')
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('soundinfo')
+                    .setDescription('Show details about a sound')
+                    .addStringOption(option =>
+                        option.setName('sound')
+                            .setDescription('Name of the sound')
+                            .setRequired(true)
+                            .setAutocomplete(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('debug')
+                    .setDescription('Show current sound mappings for debugging')
+            ),
+        new SlashCommandBuilder()
+            .setName('unrkadmin')
+            .setDescription('Configure the Unrk bot for this server')
+            .setContexts(InteractionContextType.Guild)
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('allow')
+                    .setDescription('Let a role perform an admin action')
+                    .addStringOption(option =>
+                        option.setName('action')
+                            .setDescription('The action to allow')
+                            .setRequired(true)
+                            .addChoices(...actionChoices)
+                    )
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('The role to allow it for')
+                            .setRequired(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('revoke')
+                    .setDescription('Stop a role from performing an admin action')
+                    .addStringOption(option =>
+                        option.setName('action')
+                            .setDescription('The action to revoke')
+                            .setRequired(true)
+                            .addChoices(...actionChoices)
+                    )
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('The role to revoke it from')
+                            .setRequired(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('permissions')
+                    .setDescription('Show which roles may perform each admin action')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('limits')
+                    .setDescription('Show or change join sound or soundboard cooldowns, rate limit and quiet hours')
+                    .addStringOption(option =>
+                        option.setName('type')
+                            .setDescription('Which limits to show or change (default: join sounds)')
+                            .addChoices(
+                                { name: 'Join, move and leave sounds', value: 'join' },
+                                { name: 'Soundboard presses', value: 'soundboard' }
+                            )
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('usercooldown')
+                            .setDescription('Seconds before the same member can trigger another sound')
+                            .setMinValue(0)
+                            .setMaxValue(86400)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('channelcooldown')
+                            .setDescription('Seconds before another sound can play in the same channel')
+                            .setMinValue(0)
+                            .setMaxValue(86400)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('ratelimit')
+                            .setDescription('Sounds allowed across the server per rate window')
+                            .setMinValue(1)
+                            .setMaxValue(1000)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('ratewindow')
+                            .setDescription('Length of the rate window in seconds')
+                            .setMinValue(1)
+                            .setMaxValue(86400)
+                    )
+                    .addStringOption(option =>
+                        option.setName('quietstart')
+                            .setDescription('Start of quiet hours as HH:MM in the bot\'s time zone, or "off"')
+                    )
+                    .addStringOption(option =>
+                        option.setName('quietend')
+                            .setDescription('End of quiet hours as HH:MM in the bot\'s time zone')
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('voiceevents')
+                    .setDescription('Show or change which voice events play sounds')
+                    .addBooleanOption(option =>
+                        option.setName('moves')
+                            .setDescription('Play sounds when members move between channels')
+                    )
+                    .addBooleanOption(option =>
+                        option.setName('bots')
+                            .setDescription('Play sounds for other bots joining, moving and leaving')
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('stay')
+                    .setDescription('Show or change whether the bot stays in voice between sounds')
+                    .addBooleanOption(option =>
+                        option.setName('enabled')
+                            .setDescription('Stay connected instead of leaving after every sound')
+                    )
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Home channel to sit in and return to after playing elsewhere')
+                            .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+                    )
+                    .addBooleanOption(option =>
+                        option.setName('follow')
+                            .setDescription('Forget the home channel and stay wherever the last sound played')
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('idle')
+                            .setDescription('Minutes without a sound before leaving')
+                            .setMinValue(1)
+                            .setMaxValue(1440)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('speaking')
+                    .setDescription('Show or change what join, move and leave sounds do while people are talking')
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('What to do when someone is speaking')
+                            .addChoices(...Object.entries(speakingModes).map(([value, name]) => ({ name, value })))
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('maxwait')
+                            .setDescription('Longest to wait for a pause, in seconds, before playing anyway')
+                            .setMinValue(1)
+                            .setMaxValue(60)
+                    )
+                    .addIntegerOption(option =>
+                        option.setName('duckvolume')
+                            .setDescription('Volume in percent while someone talks, when playing quieter')
+                            .setMinValue(0)
+                            .setMaxValue(100)
+                    )
+            )
+    ].map(command => command.toJSON());
+}
+
+module.exports = { buildCommands };
@@ -0,0 +1,138 @@
+const { ACTIONS, getRequiredAction, canPerform } = require('../permissions');
+const { isSoundboardInteraction } = require('../soundboard');
+const { buildCommands } = require('./definitions');
+const sounds = require('./sounds');
+const playback = require('./playback');
+const mappings = require('./mappings');
+const stats = require('./stats');
+const admin = require('./admin');
+const { handlePlaylistCommand } = require('./playlists');
+const { handleRuleCommand } = require('./rules');
+const library = require('./library');
+
+// /unrk subcommands, by name. The playlist, rule and share groups are handled on their own.
+const unrkHandlers = {
+    stop: playback.handleStop,
+    addsound: sounds.handleAddSound,
+    preview: sounds.handlePreview,
+    random: playback.handleRandom,
+    play: playback.handlePlay,
+    setsound: mappings.handleSetSound,
+    clearsound: mappings.handleClearSound,
+    listsounds: sounds.handleListSounds,
+    removesound: sounds.handleRemoveSound,
+    renamesound: sounds.handleRenameSound,
+    tagsound: sounds.handleTagSound,
+    volume: sounds.handleVolume,
+    soundboard: playback.handleSoundboard,
+    stats: stats.handleStats,
+    soundinfo: sounds.handleSoundInfo,
+    debug: mappings.handleDebug,
+    export: library.handleExport,
+    import: library.handleImport
+};
+
+// /unrkadmin subcommands, by name
+const adminHandlers = {
+    allow: admin.handlePermissionChange,
+    revoke: admin.handlePermissionChange,
+    permissions: admin.handlePermissions,
+    limits: admin.handleLimits,
+    voiceevents: admin.handleVoiceEvents,
+    stay: admin.handleStay,
+    speaking: admin.handleSpeaking
+};
+
+// Suggest sounds and playlists while an option is being typed
+async function handleAutocomplete(interaction, context) {
+    const { storage, library } = context;
+    const focusedOption = interaction.options.getFocused(true);
+    if (focusedOption.name === 'sound') {
+        // Match on names and tags; Discord accepts at most 25 choices
+        const { sounds } = storage.getGuild(interaction.guildId);
+        const filtered = library.search(interaction.guildId, focusedOption.value)
+            .slice(0, 25)
+            .map(sound => {
+                const tags = sounds[sound]?.tags || [];
+                const name = tags.length > 0 ? `${sound} (${tags.join(', ')})` : sound;
+                return { name: name.slice(0, 100), value: sound };
+            });
+        await interaction.respond(filtered);
+    }
+    else if (focusedOption.name === 'playlist') {
+        const { playlists } = storage.getGuild(interaction.guildId);
+        const filtered = Object.keys(playlists)
+            .filter(name => name.includes(focusedOption.value.toLowerCase()))
+            .slice(0, 25)
+            .map(name => ({ name, value: name }));
+        await interaction.respond(filtered);
+    }
+}
+
+// Run /unrk, checking the member may use the subcommand first
+async function handleUnrkCommand(interaction, context) {
+    const { storage, log } = context;
+    const group = interaction.options.getSubcommandGroup();
+    const subcommand = interaction.options.getSubcommand();
+
+    // Admin-only subcommands need Manage Server or a role the guild has allowed
+    const action = getRequiredAction(group ?? subcommand, interaction.options, interaction.user.id);
+    if (action && !canPerform(interaction, action, storage.getGuild(interaction.guildId).settings)) {
+        await interaction.reply({ content: `You don't have permission to do that (${ACTIONS[action].toLowerCase()}).`, ephemeral: true });
+        log.info(`Denied ${subcommand} to ${interaction.user.tag} in guild ${interaction.guildId}`);
+        return;
+    }
+
+    if (group === 'playlist') {
+        await handlePlaylistCommand(interaction, subcommand, context);
+    }
+    else if (group === 'rule') {
+        await handleRuleCommand(interaction, subcommand, context);
+    }
+    else if (group === 'share') {
+        await library.handleShareCommand(interaction, subcommand, context);
+    }
+    else if (unrkHandlers[subcommand]) {
+        await unrkHandlers[subcommand](interaction, context);
+    }
+}
+
+// The command an interaction belongs to, such as "unrk playlist add", for log context
+function getCommandName(interaction) {
+    if (isSoundboardInteraction(interaction)) return 'soundboard';
+    if (!interaction.isCommand()) return interaction.commandName ?? null;
+    const { options } = interaction;
+    return [interaction.commandName, options.getSubcommandGroup(false), options.getSubcommand(false)].filter(Boolean).join(' ');
+}
+
+// Route any interaction: soundboard presses, autocomplete and the slash commands
+async function handleInteraction(interaction, context) {
+    // Everything logged while handling it says which guild, member and command it came from
+    const scoped = {
+        ...context,
+        log: context.log.child({ guildId: interaction.guildId, userId: interaction.user.id, command: getCommandName(interaction) })
+    };
+
+    if (isSoundboardInteraction(interaction)) {
+        await playback.handleSoundboardInteraction(interaction, scoped);
+        return;
+    }
+    if (interaction.isAutocomplete()) {
+        await handleAutocomplete(interaction, scoped);
+        return;
+    }
+    if (!interaction.isCommand()) return;
+
+    if (interaction.commandName === 'unrk') {
+        await handleUnrkCommand(interaction, scoped);
+    }
+    else if (interaction.commandName === 'unrkadmin') {
+        const handler = adminHandlers[interaction.options.getSubcommand()];
+        if (handler) await handler(interaction, scoped);
+    }
+}
+
+module.exports = {
+    buildCommands,
+    handleInteraction
+};
@@ -0,0 +1,194 @@
+const { AttachmentBuilder } = require('discord.js');
+const { sanitizeName } = require('../pools');
+const { MAX_IMPORT_BYTES, ImportError, exportGuild, importGuild, describeImport } = require('../transfer');
+
+// Discord refuses bot attachments over this size in servers without boosts
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// /unrk export: attach the guild's sounds, metadata and mappings as a zip
+async function handleExport(interaction, context) {
+    const { storage, library, log } = context;
+    const guildId = interaction.guildId;
+
+    await interaction.deferReply({ ephemeral: true });
+    try {
+        const archive = exportGuild(guildId, { storage, library, guildName: interaction.guild.name });
+        if (archive.length > MAX_ATTACHMENT_BYTES) {
+            await interaction.editReply({
+                content: `The export is ${(archive.length / 1024 / 1024).toFixed(1)} MB, more than Discord lets the bot attach. ` +
+                    `Download it from the admin API at /api/guilds/${guildId}/export instead.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        await interaction.editReply({
+            content: 'Here is everything this server has set up. Restore it anywhere with /unrk import.',
+            files: [new AttachmentBuilder(archive, { name: `unrk-export-${guildId}.zip` })],
+            ephemeral: true
+        });
+        log.info(`Exported ${archive.length} bytes of sounds and mappings from guild ${guildId}`);
+    } catch (error) {
+        log.error('Error exporting sounds:', error);
+        await interaction.editReply({ content: 'Error exporting sounds. Please try again.', ephemeral: true });
+    }
+}
+
+// /unrk import: restore an export into the guild
+async function handleImport(interaction, context) {
+    const { storage, library, log, download, ingestBuffer, loudnessReference } = context;
+    const guildId = interaction.guildId;
+
+    await interaction.deferReply({ ephemeral: true });
+    try {
+        const buffer = await download(interaction.options.getAttachment('file'), MAX_IMPORT_BYTES);
+        const summary = await importGuild(buffer, {
+            guildId,
+            storage,
+            library,
+            conflict: interaction.options.getString('conflict') ?? 'skip',
+            channelIds: [...interaction.guild.channels.cache.keys()],
+            roleIds: [...interaction.guild.roles.cache.keys()],
+            referencePath: loudnessReference,
+            ingest: ingestBuffer,
+            log
+        });
+        await interaction.editReply({ content: describeImport(summary), ephemeral: true });
+    } catch (error) {
+        if (error instanceof ImportError) {
+            await interaction.editReply({ content: error.message, ephemeral: true });
+            return;
+        }
+        log.error('Error importing sounds:', error);
+        await interaction.editReply({ content: 'Error importing sounds. Please try again.', ephemeral: true });
+    }
+}
+
+// Handle the /unrk share subcommands
+async function handleShareCommand(interaction, subcommand, context) {
+    const { storage, library, log } = context;
+    const guildId = interaction.guildId;
+    const guild = storage.getGuild(guildId);
+
+    if (subcommand === 'list') {
+        const ownName = guild.settings.sharing?.name;
+        const subscribed = guild.subscriptions
+            .map(sourceId => storage.getGuild(sourceId).settings.sharing?.name)
+            .filter(Boolean);
+        const available = storage.getGuildIds()
+            .filter(id => id !== guildId && storage.getGuild(id).settings.sharing)
+            .map(id => `${storage.getGuild(id).settings.sharing.name} (${library.listPublic(id).length} sounds)`);
+
+        const lines = [
+            ownName
+                ? `This server shares ${library.listPublic(guildId).length} sounds as **${ownName}**.`
+                : 'This server does not share its sounds. Start with /unrk share enable.',
+            `Subscribed to: ${subscribed.length > 0 ? subscribed.join(', ') : 'nothing yet'}`,
+            `Libraries to subscribe to: ${available.length > 0 ? available.join(', ') : 'none'}`
+        ];
+        await interaction.reply({ content: lines.join('\n').slice(0, 2000), ephemeral: true });
+        return;
+    }
+
+    if (subcommand === 'enable') {
+        const name = sanitizeName(interaction.options.getString('name'));
+        if (!name) {
+            await interaction.reply({ content: 'Library names can only use letters, numbers, dashes and underscores.', ephemeral: true });
+            return;
+        }
+        const owner = library.findLibrary(name);
+        if (owner && owner !== guildId) {
+            await interaction.reply({ content: `Another server already shares a library called '${name}'.`, ephemeral: true });
+            return;
+        }
+        const previous = guild.settings.sharing?.name;
+        guild.settings.sharing = { name };
+        if (storage.saveGuild(guildId)) {
+            // Subscribers refer to sounds as "<library>/<sound>", so a new name breaks their mappings
+            const warning = previous && previous !== name
+                ? ` Servers that mapped sounds from '${previous}' will need to pick them again.`
+                : '';
+            await interaction.reply({ content: `Sharing public sounds as '${name}'. Publish sounds with /unrk share publish.${warning}`, ephemeral: true });
+            log.info(`Guild ${guildId} shares its library as ${name}`);
+        } else {
+            await interaction.reply({ content: 'Error saving sharing settings. Please try again.', ephemeral: true });
+        }
+        return;
+    }
+
+    if (subcommand === 'disable') {
+        if (!guild.settings.sharing) {
+            await interaction.reply({ content: 'This server is not sharing its sounds.', ephemeral: true });
+            return;
+        }
+        delete guild.settings.sharing;
+        if (storage.saveGuild(guildId)) {
+            await interaction.reply({ content: 'Stopped sharing. Subscribed servers can no longer play these sounds.', ephemeral: true });
+            log.info(`Guild ${guildId} stopped sharing its library`);
+        } else {
+            await interaction.reply({ content: 'Error saving sharing settings. Please try again.', ephemeral: true });
+        }
+        return;
+    }
+
+    if (subcommand === 'publish' || subcommand === 'unpublish') {
+        const sound = interaction.options.getString('sound');
+        const info = library.getInfo(guildId, sound);
+        if (!info || info.shared) {
+            await interaction.reply({ content: 'Only sounds uploaded to this server can be published. Use /unrk listsounds to see them.', ephemeral: true });
+            return;
+        }
+        const publish = subcommand === 'publish';
+        if (library.updateInfo(guildId, sound, { public: publish })) {
+            const hint = publish && !guild.settings.sharing ? ' Subscribers will see it once you run /unrk share enable.' : '';
+            await interaction.reply({ content: `${sound} is now ${publish ? 'public' : 'private'}.${hint}`, ephemeral: true });
+            log.info(`${publish ? 'Published' : 'Unpublished'} ${sound} in guild ${guildId}`);
+        } else {
+            await interaction.reply({ content: 'Error saving sound. Please try again.', ephemeral: true });
+        }
+        return;
+    }
+
+    // Subscribing and unsubscribing work on another server's library
+    const name = sanitizeName(interaction.options.getString('library'));
+    const sourceId = name ? library.findLibrary(name) : null;
+    if (!sourceId) {
+        await interaction.reply({ content: `No server shares a library called '${name}'. Use /unrk share list to see them.`, ephemeral: true });
+        return;
+    }
+
+    if (subcommand === 'subscribe') {
+        if (sourceId === guildId) {
+            await interaction.reply({ content: 'That is this server\'s own library.', ephemeral: true });
+            return;
+        }
+        if (guild.subscriptions.includes(sourceId)) {
+            await interaction.reply({ content: `Already subscribed to '${name}'.`, ephemeral: true });
+            return;
+        }
+        guild.subscriptions.push(sourceId);
+    }
+    else if (subcommand === 'unsubscribe') {
+        if (!guild.subscriptions.includes(sourceId)) {
+            await interaction.reply({ content: `This server is not subscribed to '${name}'.`, ephemeral: true });
+            return;
+        }
+        guild.subscriptions = guild.subscriptions.filter(id => id !== sourceId);
+    }
+
+    if (storage.saveGuild(guildId)) {
+        const content = subcommand === 'subscribe'
+            ? `Subscribed to '${name}'. Its sounds show up as ${name}/<sound>.`
+            : `Unsubscribed from '${name}'. Mappings to its sounds stop playing.`;
+        await interaction.reply({ content, ephemeral: true });
+        log.info(`Guild ${guildId} ${subcommand === 'subscribe' ? 'subscribed to' : 'unsubscribed from'} library ${name}`);
+    } else {
+        await interaction.reply({ content: 'Error saving subscriptions. Please try again.', ephemeral: true });
+    }
+}
+
+module.exports = {
+    handleExport,
+    handleImport,
+    handleShareCommand
+};
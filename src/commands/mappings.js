@@ -0,0 +1,173 @@
+const { AttachmentBuilder } = require('discord.js');
+const { createPool, describePool, getMappedEvents, removeEmptyMapping, getPlaylist } = require('../pools');
+const { RESOLUTION_ORDER } = require('../resolver');
+const { describeRule } = require('../rules');
+const { toTtsSound } = require('../tts');
+const { eventLabels } = require('../settings');
+
+// Work out which voice channel, member, role or the whole server a setsound/clearsound applies to,
+// or null when the needed channel or role was not given
+function getMappingTarget(interaction) {
+    const type = interaction.options.getString('type');
+    if (type === 'channel') {
+        const channel = interaction.options.getChannel('channel') ?? interaction.member.voice.channel;
+        return channel ? { type, id: channel.id, mention: channel.toString() } : null;
+    }
+    if (type === 'role') {
+        const role = interaction.options.getRole('role');
+        return role ? { type, id: role.id, mention: role.toString() } : null;
+    }
+    if (type === 'default') {
+        return { type, id: interaction.guildId, mention: 'the whole server' };
+    }
+
+    const user = interaction.options.getUser('user') ?? interaction.user;
+    return { type, id: user.id, mention: user.toString() };
+}
+
+// Explain which option is missing when getMappingTarget finds no target
+function getMappingTargetHint(interaction) {
+    return interaction.options.getString('type') === 'role'
+        ? 'Pick a role with the role option.'
+        : 'Join a voice channel or pick one with the channel option.';
+}
+
+// /unrk setsound
+async function handleSetSound(interaction, context) {
+    const { storage, library, log } = context;
+    const text = interaction.options.getString('tts')?.trim();
+    const playlist = interaction.options.getString('playlist');
+    const guild = storage.getGuild(interaction.guildId);
+
+    // Spoken text goes into pools like any other sound
+    const sound = text ? toTtsSound(text) : interaction.options.getString('sound');
+    if ([interaction.options.getString('sound'), playlist, text].filter(Boolean).length !== 1) {
+        await interaction.reply({ content: 'Pick one of a sound, a playlist or text to speak.', ephemeral: true });
+        return;
+    }
+    if (!text && sound && !library.has(interaction.guildId, sound)) {
+        await interaction.reply({ content: 'Invalid sound name. Use /unrk listsounds to see available sounds.', ephemeral: true });
+        return;
+    }
+    if (playlist && !getPlaylist(guild, playlist)) {
+        await interaction.reply({ content: `There is no playlist named '${playlist}'. Use /unrk playlist list to see them.`, ephemeral: true });
+        return;
+    }
+
+    const target = getMappingTarget(interaction);
+    if (!target) {
+        await interaction.reply({ content: getMappingTargetHint(interaction), ephemeral: true });
+        return;
+    }
+
+    const event = interaction.options.getString('event') ?? 'join';
+    const events = getMappedEvents(guild, target, true);
+    const weight = interaction.options.getInteger('weight') ?? 1;
+    const noRepeat = interaction.options.getInteger('norepeat');
+
+    // Either point at a playlist, add to the current pool, or start a new pool
+    let pool;
+    if (playlist) {
+        pool = { playlist };
+    } else if (interaction.options.getBoolean('add') && events[event]?.sounds) {
+        pool = events[event];
+        pool.sounds = pool.sounds.filter(entry => entry.name !== sound);
+        pool.sounds.push({ name: sound, weight });
+    } else {
+        pool = createPool(sound, weight);
+    }
+    if (noRepeat !== null && pool.sounds) {
+        pool.noRepeat = noRepeat;
+    }
+    events[event] = pool;
+    log.debug(`Set ${target.type} ${target.id} ${event} sound to ${describePool(pool)}`);
+
+    if (storage.saveGuild(interaction.guildId)) {
+        await interaction.reply({ content: `${eventLabels[event]} sound set successfully for ${target.mention}! Using: ${describePool(pool)}`, ephemeral: true });
+        log.info(`Sound ${describePool(pool)} set for ${target.type} ${target.id} on ${event}`);
+    } else {
+        await interaction.reply({ content: 'Error saving sound mapping. Please try again.', ephemeral: true });
+    }
+}
+
+// /unrk clearsound
+async function handleClearSound(interaction, context) {
+    const { storage, log } = context;
+    const target = getMappingTarget(interaction);
+    if (!target) {
+        await interaction.reply({ content: getMappingTargetHint(interaction), ephemeral: true });
+        return;
+    }
+
+    const event = interaction.options.getString('event') ?? 'join';
+    const sound = interaction.options.getString('sound');
+    const guild = storage.getGuild(interaction.guildId);
+    const events = getMappedEvents(guild, target, false);
+    const pool = events?.[event];
+    if (!pool || (sound && !pool.sounds?.some(entry => entry.name === sound))) {
+        await interaction.reply({
+            content: sound
+                ? `${sound} is not in the ${eventLabels[event].toLowerCase()} sounds for ${target.mention}.`
+                : `No ${eventLabels[event].toLowerCase()} sound is set for ${target.mention}.`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    // Take out a single sound, or the whole mapping when no sound was named or none are left
+    if (sound) {
+        pool.sounds = pool.sounds.filter(entry => entry.name !== sound);
+    }
+    if (!sound || pool.sounds.length === 0) {
+        delete events[event];
+    }
+    removeEmptyMapping(guild, target);
+
+    if (storage.saveGuild(interaction.guildId)) {
+        await interaction.reply({
+            content: events[event]
+                ? `Removed ${sound}. ${eventLabels[event]} sound for ${target.mention} is now: ${describePool(events[event])}`
+                : `${eventLabels[event]} sound cleared for ${target.mention}.`,
+            ephemeral: true
+        });
+        log.info(`Sound ${sound ?? 'mapping'} cleared for ${target.type} ${target.id} on ${event}`);
+    } else {
+        await interaction.reply({ content: 'Error saving sound mapping. Please try again.', ephemeral: true });
+    }
+}
+
+// /unrk debug: show how sounds are picked and the guild's current sound mappings
+async function handleDebug(interaction, context) {
+    const { storage, resolver, log } = context;
+    // Debug command to show how sounds are picked and the guild's current sound mappings
+    const guild = storage.getGuild(interaction.guildId);
+    const { userSounds, channelSounds, roleSounds, defaultSounds, playlists } = guild;
+    const scheduled = resolver.getScheduledPlaylist(guild, new Date());
+    const order = RESOLUTION_ORDER
+        .map(({ source, description }, index) =>
+            `${index + 1}. ${description}${source === 'schedule' && scheduled ? ` (now: ${scheduled})` : ''}`)
+        .join('\n');
+    const rules = guild.rules.length > 0 ? guild.rules.map(describeRule).join('\n') : 'none';
+    const formattedMappings = JSON.stringify({ channelSounds, userSounds, roleSounds, defaultSounds, playlists }, null, 2);
+    const summary = `Resolution order, first match wins. Moves try move sounds before join sounds.\n${order}\n` +
+        `Rules:\n${rules}\n`;
+    const inline = `${summary}Current sound mappings:\n\`\`\`json\n${formattedMappings}\n\`\`\``;
+
+    // Mappings that would go over Discord's message limit are attached as a file instead
+    if (inline.length <= 2000) {
+        await interaction.reply({ content: inline, ephemeral: true });
+    } else {
+        await interaction.reply({
+            content: `${summary.slice(0, 1960)}Current sound mappings are attached.`,
+            files: [new AttachmentBuilder(Buffer.from(formattedMappings), { name: `unrk-mappings-${interaction.guildId}.json` })],
+            ephemeral: true
+        });
+    }
+    log.info('Displayed sound mappings for debugging');
+}
+
+module.exports = {
+    handleSetSound,
+    handleClearSound,
+    handleDebug
+};
@@ -0,0 +1,175 @@
+const { existsSync } = require('fs');
+const { getPlaybackVolume } = require('../volume');
+const { parseSoundboardInteraction, buildSoundboard } = require('../soundboard');
+
+// /unrk stop
+async function handleStop(interaction, context) {
+    const { playback, log } = context;
+    const guildId = interaction.guildId;
+
+    if (playback.stop(guildId)) {
+        await interaction.reply({ content: 'Bot has left the voice channel.', ephemeral: true });
+        log.info(`Bot left voice channel in guild ${guildId} by command`);
+    } else {
+        await interaction.reply({ content: 'Bot is not in a voice channel.', ephemeral: true });
+    }
+}
+
+// /unrk random: play a random sound in the member's voice channel
+async function handleRandom(interaction, context) {
+    const { storage, library, playback, log } = context;
+    // Check if the user is in a voice channel
+    const channel = interaction.member.voice.channel;
+    if (!channel) {
+        await interaction.reply({ content: 'You need to be in a voice channel to use this command.', ephemeral: true });
+        return;
+    }
+
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        log.info('Playing a random sound in the current voice channel');
+        const soundFile = library.getRandom(interaction.guildId);
+        if (soundFile) {
+            const filePath = library.getPath(interaction.guildId, soundFile);
+            log.debug(`Checking audio file at: ${filePath}`);
+
+            // Verify the file exists
+            if (!existsSync(filePath)) {
+                throw new Error(`Audio file not found at ${filePath}`);
+            }
+
+            const volume = getPlaybackVolume(storage.getGuild(interaction.guildId), soundFile, { userId: interaction.user.id });
+            const position = playback.enqueue(interaction.guildId, {
+                name: soundFile,
+                filePath,
+                channel,
+                volume,
+                userId: interaction.user.id,
+                trigger: 'random'
+            });
+            await interaction.editReply({
+                content: position === 0
+                    ? `Playing random sound: ${soundFile}`
+                    : `Queued random sound: ${soundFile} (${position} ahead in queue)`,
+                ephemeral: true
+            });
+        } else {
+            await interaction.editReply({ content: 'No sounds available to play.', ephemeral: true });
+        }
+    } catch (error) {
+        log.error('Error playing random sound:', error);
+        await interaction.editReply({ content: 'Error playing random sound. Please try again later.', ephemeral: true });
+    }
+}
+
+// /unrk play: play a chosen sound in a voice channel
+async function handlePlay(interaction, context) {
+    const { storage, library, playback, log } = context;
+    const sound = interaction.options.getString('sound');
+    const volume = interaction.options.getInteger('volume');
+
+    // Play in the chosen channel, or the one the user is in
+    const channel = interaction.options.getChannel('channel') ?? interaction.member.voice.channel;
+    if (!channel) {
+        await interaction.reply({ content: 'Join a voice channel or pick one with the channel option.', ephemeral: true });
+        return;
+    }
+
+    if (!library.has(interaction.guildId, sound)) {
+        await interaction.reply({ content: 'Invalid sound name. Use /unrk listsounds to see available sounds.', ephemeral: true });
+        return;
+    }
+
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        const guild = storage.getGuild(interaction.guildId);
+        const level = getPlaybackVolume(guild, sound, { userId: interaction.user.id, volume });
+        log.info(`Playing ${sound} in channel ${channel.name} at ${Math.round(level * 100)}% volume`);
+
+        const filePath = library.getPath(interaction.guildId, sound);
+        const position = playback.enqueue(interaction.guildId, {
+            name: sound,
+            filePath,
+            channel,
+            volume: level,
+            userId: interaction.user.id,
+            trigger: 'play'
+        });
+        await interaction.editReply({
+            content: position === 0
+                ? `Playing ${sound} in ${channel.name}`
+                : `Queued ${sound} for ${channel.name} (${position} ahead in queue)`,
+            ephemeral: true
+        });
+    } catch (error) {
+        log.error('Error playing sound:', error);
+        await interaction.editReply({ content: 'Error playing sound. Please try again later.', ephemeral: true });
+    }
+}
+
+// /unrk soundboard
+async function handleSoundboard(interaction, context) {
+    const { library, log } = context;
+
+    // Posted publicly so the whole server can use it; presses are handled by handleSoundboardInteraction
+    await interaction.reply(buildSoundboard(library.list(interaction.guildId)));
+    log.info(`Posted a soundboard in channel ${interaction.channelId} of guild ${interaction.guildId}`);
+}
+
+// Play a sound from a soundboard button or menu in the presser's voice channel,
+// within the guild's soundboard limits
+async function handleSoundboardInteraction(interaction, context) {
+    const { storage, library, playback, soundboardLimiter, log } = context;
+    const guildId = interaction.guildId;
+    const request = parseSoundboardInteraction(interaction);
+
+    // Page buttons swap the menus in place
+    if (request.action === 'page') {
+        await interaction.update(buildSoundboard(library.list(guildId), request.page));
+        return;
+    }
+
+    const guild = storage.getGuild(guildId);
+    const channel = interaction.member.voice.channel;
+    if (!channel) {
+        await interaction.reply({ content: 'Join a voice channel to play sounds from the soundboard.', ephemeral: true });
+        return;
+    }
+
+    const { sound } = request;
+    if (!library.has(guildId, sound)) {
+        await interaction.reply({ content: `${sound} is no longer available. Post a fresh soundboard with /unrk soundboard.`, ephemeral: true });
+        return;
+    }
+
+    const suppressed = soundboardLimiter.check({ guildId, userId: interaction.user.id, channelId: channel.id }, guild.settings.soundboardLimits);
+    if (suppressed) {
+        await interaction.reply({ content: `Not so fast: ${suppressed}.`, ephemeral: true });
+        log.info(`Suppressed soundboard press of ${sound} by ${interaction.user.tag}: ${suppressed}`);
+        return;
+    }
+
+    const position = playback.enqueue(guildId, {
+        name: sound,
+        filePath: library.getPath(guildId, sound),
+        channel,
+        volume: getPlaybackVolume(guild, sound, { userId: interaction.user.id }),
+        userId: interaction.user.id,
+        trigger: 'soundboard'
+    });
+    await interaction.reply({
+        content: position === 0
+            ? `Playing ${sound} in ${channel.name}`
+            : `Queued ${sound} for ${channel.name} (${position} ahead in queue)`,
+        ephemeral: true
+    });
+    log.info(`Soundboard press: ${sound} by ${interaction.user.tag} in ${channel.name}`);
+}
+
+module.exports = {
+    handleStop,
+    handleRandom,
+    handlePlay,
+    handleSoundboard,
+    handleSoundboardInteraction
+};
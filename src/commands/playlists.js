@@ -0,0 +1,107 @@
+const { describePool, parseDay, sanitizeName, getPlaylist, removePlaylist } = require('../pools');
+
+// Handle the /unrk playlist subcommands
+async function handlePlaylistCommand(interaction, subcommand, context) {
+    const { storage, library, log } = context;
+    const guildId = interaction.guildId;
+    const guild = storage.getGuild(guildId);
+    const { playlists } = guild;
+
+    if (subcommand === 'list') {
+        const names = Object.keys(playlists);
+        if (names.length === 0) {
+            await interaction.reply({ content: 'No playlists yet. Create one with /unrk playlist create.', ephemeral: true });
+            return;
+        }
+        const lines = names.map(name => {
+            const { sounds, schedule } = playlists[name];
+            const contents = sounds.length > 0 ? describePool(playlists[name]) : 'empty';
+            return `**${name}**: ${contents}${schedule ? ` (scheduled ${schedule.start} to ${schedule.end})` : ''}`;
+        });
+        await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+        return;
+    }
+
+    if (subcommand === 'create') {
+        const name = sanitizeName(interaction.options.getString('name'));
+        if (!name) {
+            await interaction.reply({ content: 'Playlist names can only use letters, numbers, dashes and underscores.', ephemeral: true });
+            return;
+        }
+        if (getPlaylist(guild, name)) {
+            await interaction.reply({ content: `A playlist named '${name}' already exists.`, ephemeral: true });
+            return;
+        }
+        playlists[name] = { sounds: [] };
+        if (storage.saveGuild(guildId)) {
+            await interaction.reply({ content: `Playlist '${name}' created. Add sounds with /unrk playlist add.`, ephemeral: true });
+            log.info(`Created playlist ${name} in guild ${guildId}`);
+        } else {
+            await interaction.reply({ content: 'Error saving playlist. Please try again.', ephemeral: true });
+        }
+        return;
+    }
+
+    // Every other subcommand works on an existing playlist
+    const name = interaction.options.getString('playlist');
+    const playlist = getPlaylist(guild, name);
+    if (!playlist) {
+        await interaction.reply({ content: `There is no playlist named '${name}'. Use /unrk playlist list to see them.`, ephemeral: true });
+        return;
+    }
+
+    let message;
+    if (subcommand === 'add') {
+        const sound = interaction.options.getString('sound');
+        if (!library.has(guildId, sound)) {
+            await interaction.reply({ content: 'Invalid sound name. Use /unrk listsounds to see available sounds.', ephemeral: true });
+            return;
+        }
+        const weight = interaction.options.getInteger('weight') ?? 1;
+        playlist.sounds = playlist.sounds.filter(entry => entry.name !== sound);
+        playlist.sounds.push({ name: sound, weight });
+        message = `Added ${sound} to '${name}'.`;
+    }
+    else if (subcommand === 'remove') {
+        const sound = interaction.options.getString('sound');
+        if (!playlist.sounds.some(entry => entry.name === sound)) {
+            await interaction.reply({ content: `${sound} is not in '${name}'.`, ephemeral: true });
+            return;
+        }
+        playlist.sounds = playlist.sounds.filter(entry => entry.name !== sound);
+        message = `Removed ${sound} from '${name}'.`;
+    }
+    else if (subcommand === 'norepeat') {
+        playlist.noRepeat = interaction.options.getInteger('count');
+        message = playlist.noRepeat > 0
+            ? `'${name}' will not repeat any of its last ${playlist.noRepeat} picks.`
+            : `'${name}' can now repeat sounds.`;
+    }
+    else if (subcommand === 'schedule') {
+        const start = interaction.options.getString('start').trim();
+        const end = interaction.options.getString('end')?.trim();
+        if (start.toLowerCase() === 'off') {
+            delete playlist.schedule;
+            message = `'${name}' is no longer scheduled.`;
+        } else if (!end || parseDay(start) === null || parseDay(end) === null) {
+            await interaction.reply({ content: 'Schedules need a start and end date as MM-DD, for example 10-01 and 10-31.', ephemeral: true });
+            return;
+        } else {
+            playlist.schedule = { start, end };
+            message = `'${name}' will be used for every join from ${start} to ${end}.`;
+        }
+    }
+    else if (subcommand === 'delete') {
+        removePlaylist(guild, name);
+        message = `Playlist '${name}' deleted, along with any mappings that used it.`;
+    }
+
+    if (storage.saveGuild(guildId)) {
+        await interaction.reply({ content: message, ephemeral: true });
+        log.info(`Playlist ${subcommand} on ${name} in guild ${guildId}`);
+    } else {
+        await interaction.reply({ content: 'Error saving playlist. Please try again.', ephemeral: true });
+    }
+}
+
+module.exports = { handlePlaylistCommand };
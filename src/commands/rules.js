@@ -0,0 +1,97 @@
+const { parseTime } = require('../cooldowns');
+const { createPool, getPlaylist } = require('../pools');
+const { parseDays, addRule, describeRule } = require('../rules');
+
+// Handle the /unrk rule subcommands
+async function handleRuleCommand(interaction, subcommand, context) {
+    const { storage, library, log } = context;
+    const guildId = interaction.guildId;
+    const guild = storage.getGuild(guildId);
+
+    if (subcommand === 'list') {
+        await interaction.reply({
+            content: guild.rules.length > 0
+                ? `Rules are checked in this order, first match wins:\n${guild.rules.map(describeRule).join('\n')}`
+                : 'No rules yet. Add one with /unrk rule add.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    if (subcommand === 'remove') {
+        const id = interaction.options.getInteger('id');
+        if (!guild.rules.some(rule => rule.id === id)) {
+            await interaction.reply({ content: `There is no rule #${id}. Use /unrk rule list to see them.`, ephemeral: true });
+            return;
+        }
+        guild.rules = guild.rules.filter(rule => rule.id !== id);
+        if (storage.saveGuild(guildId)) {
+            await interaction.reply({ content: `Rule #${id} removed.`, ephemeral: true });
+            log.info(`Removed rule ${id} in guild ${guildId}`);
+        } else {
+            await interaction.reply({ content: 'Error saving rules. Please try again.', ephemeral: true });
+        }
+        return;
+    }
+
+    // Adding a rule: work out what it plays, then its conditions
+    const sound = interaction.options.getString('sound');
+    const playlist = interaction.options.getString('playlist');
+    if (!sound === !playlist) {
+        await interaction.reply({ content: 'Pick either a sound or a playlist for the rule.', ephemeral: true });
+        return;
+    }
+    if (sound && !library.has(guildId, sound)) {
+        await interaction.reply({ content: 'Invalid sound name. Use /unrk listsounds to see available sounds.', ephemeral: true });
+        return;
+    }
+    if (playlist && !getPlaylist(guild, playlist)) {
+        await interaction.reply({ content: `There is no playlist named '${playlist}'. Use /unrk playlist list to see them.`, ephemeral: true });
+        return;
+    }
+
+    const conditions = {};
+    const role = interaction.options.getRole('role');
+    const channel = interaction.options.getChannel('channel');
+    const days = interaction.options.getString('days');
+    const from = interaction.options.getString('from');
+    const to = interaction.options.getString('to');
+    const minMembers = interaction.options.getInteger('minmembers');
+    const maxMembers = interaction.options.getInteger('maxmembers');
+
+    if (role) conditions.roleId = role.id;
+    if (channel) conditions.channelId = channel.id;
+    if (days) {
+        conditions.days = parseDays(days);
+        if (!conditions.days) {
+            await interaction.reply({ content: 'Days should be a list like "mon,wed,fri", or "weekdays" or "weekends".', ephemeral: true });
+            return;
+        }
+    }
+    if (from || to) {
+        if (!from || !to || parseTime(from) === null || parseTime(to) === null) {
+            await interaction.reply({ content: 'Time windows need both from and to as HH:MM, for example 23:00 and 05:00.', ephemeral: true });
+            return;
+        }
+        conditions.from = from.trim();
+        conditions.to = to.trim();
+    }
+    if (minMembers !== null) conditions.minMembers = minMembers;
+    if (maxMembers !== null) conditions.maxMembers = maxMembers;
+    if (interaction.options.getBoolean('first')) conditions.firstToday = true;
+
+    const rule = addRule(guild, {
+        event: interaction.options.getString('event') ?? 'join',
+        pool: playlist ? { playlist } : createPool(sound),
+        conditions
+    });
+
+    if (storage.saveGuild(guildId)) {
+        await interaction.reply({ content: `Rule added: ${describeRule(rule)}`, ephemeral: true });
+        log.info(`Added rule ${rule.id} in guild ${guildId}: ${JSON.stringify(rule)}`);
+    } else {
+        await interaction.reply({ content: 'Error saving rules. Please try again.', ephemeral: true });
+    }
+}
+
+module.exports = { handleRuleCommand };
@@ -0,0 +1,279 @@
+const { AttachmentBuilder } = require('discord.js');
+const { join } = require('path');
+const { sanitizeSoundName, analyze, IngestError } = require('../ingest');
+const { DEFAULT_VOLUME, MAX_USER_VOLUME, getVolumeLevels, setUserVolume } = require('../volume');
+
+// /unrk addsound: download, validate and normalize an attachment into the guild's library
+async function handleAddSound(interaction, context) {
+    const { library, log, loudnessReference, ingestSound } = context;
+    const sound = interaction.options.getAttachment('sound');
+    const name = sanitizeSoundName(interaction.options.getString('name'));
+
+    if (!name) {
+        await interaction.reply({ content: 'Sound names can only use letters, numbers, spaces, dashes and underscores.', ephemeral: true });
+        return;
+    }
+
+    const fileName = `${name}.mp3`;
+    const filePath = join(library.getGuildDir(interaction.guildId), fileName);
+
+    // Check if a sound with this name already exists
+    if (library.has(interaction.guildId, fileName)) {
+        await interaction.reply({ content: `A sound named '${name}' already exists. Please choose a different name.`, ephemeral: true });
+        return;
+    }
+
+    try {
+        // Download, validate and normalize the sound
+        await interaction.deferReply({ ephemeral: true });
+        const { format, duration } = await ingestSound(sound, {
+            filePath,
+            referencePath: loudnessReference,
+            trim: {
+                start: interaction.options.getNumber('start') ?? undefined,
+                end: interaction.options.getNumber('end') ?? undefined,
+                fadeIn: interaction.options.getNumber('fadein') ?? undefined,
+                fadeOut: interaction.options.getNumber('fadeout') ?? undefined
+            },
+            log
+        });
+
+        // Record the upload in the guild's sound library
+        library.add(interaction.guildId, fileName, {
+            uploadedBy: interaction.user.id,
+            uploadedAt: new Date().toISOString(),
+            duration
+        });
+
+        await interaction.editReply({
+            content: `Sound '${name}' added successfully! Use /unrk preview to listen to it.`,
+            ephemeral: true
+        });
+        log.info(`New sound added: ${fileName} (${format}, ${duration.toFixed(1)}s)`);
+    } catch (error) {
+        if (error instanceof IngestError) {
+            await interaction.editReply({ content: error.message, ephemeral: true });
+            return;
+        }
+        log.error('Error adding sound:', error);
+        await interaction.editReply({ content: 'Error adding sound. Please try again.', ephemeral: true });
+    }
+}
+
+// /unrk preview: send the sound privately, since voice channels play to everyone in them
+async function handlePreview(interaction, context) {
+    const { library, log } = context;
+    const sound = interaction.options.getString('sound');
+
+    if (!library.has(interaction.guildId, sound)) {
+        await interaction.reply({ content: 'Invalid sound name. Use /unrk listsounds to see available sounds.', ephemeral: true });
+        return;
+    }
+
+    const attachment = new AttachmentBuilder(library.getPath(interaction.guildId, sound), { name: sound });
+    await interaction.reply({ content: `Preview of ${sound}:`, files: [attachment], ephemeral: true });
+    log.info(`Sent preview of ${sound} to ${interaction.user.tag}`);
+}
+
+// /unrk listsounds
+async function handleListSounds(interaction, context) {
+    const { library } = context;
+    const availableSounds = library.list(interaction.guildId);
+    if (availableSounds.length === 0) {
+        await interaction.reply({ content: 'No sounds available.', ephemeral: true });
+    } else {
+        await interaction.reply({ 
+            content: `Available sounds:\n${availableSounds.join('\n')}`,
+            ephemeral: true 
+        });
+    }
+}
+
+// /unrk removesound
+async function handleRemoveSound(interaction, context) {
+    const { library, log } = context;
+    const sound = interaction.options.getString('sound');
+
+    if (!library.has(interaction.guildId, sound)) {
+        await interaction.reply({ content: 'Invalid sound name. Use /unrk listsounds to see available sounds.', ephemeral: true });
+        return;
+    }
+
+    try {
+        if (library.remove(interaction.guildId, sound)) {
+            await interaction.reply({ content: `Sound '${sound}' removed, along with any mappings that used it.`, ephemeral: true });
+        } else {
+            await interaction.reply({ content: 'Error saving changes. Please try again.', ephemeral: true });
+        }
+    } catch (error) {
+        log.error('Error removing sound:', error);
+        await interaction.reply({ content: 'Error removing sound. Please try again.', ephemeral: true });
+    }
+}
+
+// /unrk renamesound
+async function handleRenameSound(interaction, context) {
+    const { library, log } = context;
+    const sound = interaction.options.getString('sound');
+    const name = sanitizeSoundName(interaction.options.getString('name'));
+
+    if (!library.has(interaction.guildId, sound)) {
+        await interaction.reply({ content: 'Invalid sound name. Use /unrk listsounds to see available sounds.', ephemeral: true });
+        return;
+    }
+    if (!name) {
+        await interaction.reply({ content: 'Sound names can only use letters, numbers, spaces, dashes and underscores.', ephemeral: true });
+        return;
+    }
+
+    const newSound = `${name}.mp3`;
+    if (library.has(interaction.guildId, newSound)) {
+        await interaction.reply({ content: `A sound named '${name}' already exists. Please choose a different name.`, ephemeral: true });
+        return;
+    }
+
+    try {
+        if (library.rename(interaction.guildId, sound, newSound)) {
+            await interaction.reply({ content: `Sound '${sound}' renamed to '${newSound}'.`, ephemeral: true });
+        } else {
+            await interaction.reply({ content: 'Error saving changes. Please try again.', ephemeral: true });
+        }
+    } catch (error) {
+        log.error('Error renaming sound:', error);
+        await interaction.reply({ content: 'Error renaming sound. Please try again.', ephemeral: true });
+    }
+}
+
+// /unrk tagsound
+async function handleTagSound(interaction, context) {
+    const { library } = context;
+    const sound = interaction.options.getString('sound');
+    const tags = [...new Set((interaction.options.getString('tags') || '')
+        .split(',')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean))];
+
+    if (!library.has(interaction.guildId, sound)) {
+        await interaction.reply({ content: 'Invalid sound name. Use /unrk listsounds to see available sounds.', ephemeral: true });
+        return;
+    }
+
+    if (library.setTags(interaction.guildId, sound, tags)) {
+        await interaction.reply({
+            content: tags.length > 0 ? `Tags for '${sound}': ${tags.join(', ')}` : `Tags cleared for '${sound}'.`,
+            ephemeral: true
+        });
+    } else {
+        await interaction.reply({ content: 'Error saving tags. Please try again.', ephemeral: true });
+    }
+}
+
+// /unrk volume: show or change the volume of a sound, the server or the member's own sounds
+async function handleVolume(interaction, context) {
+    const { storage, library, log } = context;
+    const type = interaction.options.getString('type');
+    const level = interaction.options.getInteger('level');
+    const sound = interaction.options.getString('sound');
+    const guild = storage.getGuild(interaction.guildId);
+
+    if (type === 'sound' && !sound) {
+        await interaction.reply({ content: 'Pick the sound whose volume you want.', ephemeral: true });
+        return;
+    }
+    if (type === 'sound' && !library.has(interaction.guildId, sound)) {
+        await interaction.reply({ content: 'Invalid sound name. Use /unrk listsounds to see available sounds.', ephemeral: true });
+        return;
+    }
+
+    const label = {
+        sound: `Volume of ${sound}`,
+        server: 'Server master volume',
+        me: 'Volume of the sounds you trigger'
+    }[type];
+
+    // Without a level, just show the current one
+    if (level === null) {
+        const levels = getVolumeLevels(guild, sound, interaction.user.id);
+        await interaction.reply({ content: `${label}: ${type === 'me' ? levels.user : levels[type]}%`, ephemeral: true });
+        return;
+    }
+
+    if (type === 'me' && level > MAX_USER_VOLUME) {
+        await interaction.reply({ content: `You can only turn your own sounds down, to at most ${MAX_USER_VOLUME}%.`, ephemeral: true });
+        return;
+    }
+
+    let saved;
+    if (type === 'sound') {
+        saved = library.updateInfo(interaction.guildId, sound, { volume: level });
+    } else {
+        if (type === 'server') {
+            guild.settings.volume = level;
+        } else {
+            setUserVolume(guild.settings, interaction.user.id, level);
+        }
+        saved = storage.saveGuild(interaction.guildId);
+    }
+
+    if (saved) {
+        await interaction.reply({ content: `${label} set to ${level}%.`, ephemeral: true });
+        log.info(`${label} set to ${level}% in guild ${interaction.guildId} by ${interaction.user.tag}`);
+    } else {
+        await interaction.reply({ content: 'Error saving volume. Please try again.', ephemeral: true });
+    }
+}
+
+// /unrk soundinfo
+async function handleSoundInfo(interaction, context) {
+    const { library, log } = context;
+    const sound = interaction.options.getString('sound');
+    const info = library.getInfo(interaction.guildId, sound);
+
+    if (!info) {
+        await interaction.reply({ content: 'Invalid sound name. Use /unrk listsounds to see available sounds.', ephemeral: true });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    // Sounds that predate uploads being measured get their duration worked out once
+    if (info.duration === undefined) {
+        try {
+            const { duration } = await analyze(library.getPath(interaction.guildId, sound));
+            if (duration) {
+                info.duration = duration;
+                library.updateInfo(interaction.guildId, sound, { duration });
+            }
+        } catch (error) {
+            log.warn(`Could not measure duration of ${sound}: ${error.message}`);
+        }
+    }
+
+    const lines = [
+        `**${sound}**`,
+        `Duration: ${info.duration !== undefined ? `${info.duration.toFixed(1)}s` : 'unknown'}`,
+        info.uploadedBy
+            ? `Uploaded by <@${info.uploadedBy}> on <t:${Math.floor(Date.parse(info.uploadedAt) / 1000)}:D>`
+            : 'Uploaded by: unknown',
+        `Played ${info.playCount} time${info.playCount === 1 ? '' : 's'}`,
+        `Tags: ${info.tags.length > 0 ? info.tags.join(', ') : 'none'}`,
+        `Volume: ${info.volume ?? DEFAULT_VOLUME}%`
+    ];
+    if (info.library) {
+        lines.push(`From the '${info.library}' library, shared by another server`);
+    } else if (info.shared) {
+        lines.push('Shared sound, available to every server');
+    }
+    await interaction.editReply({ content: lines.join('\n'), ephemeral: true });
+}
+
+module.exports = {
+    handleAddSound,
+    handlePreview,
+    handleListSounds,
+    handleRemoveSound,
+    handleRenameSound,
+    handleTagSound,
+    handleVolume,
+    handleSoundInfo
+};
@@ -0,0 +1,52 @@
+const { AttachmentBuilder } = require('discord.js');
+const { UNPLAYED_DAYS, summarizeGuild, summarizeUser, toCsv } = require('../stats');
+
+// /unrk stats
+async function handleStats(interaction, context) {
+    const { storage, library } = context;
+    const user = interaction.options.getUser('user');
+    const plays = storage.getPlays(interaction.guildId);
+    const files = [];
+
+    if (interaction.options.getBoolean('export')) {
+        files.push(new AttachmentBuilder(Buffer.from(toCsv(plays)), { name: `unrk-plays-${interaction.guildId}.csv` }));
+    }
+
+    const ranked = (entries, format) => entries.length > 0
+        ? entries.map((entry, index) => `${index + 1}. ${format(entry.value)}: ${entry.count}`)
+        : ['nothing yet'];
+
+    let lines;
+    if (user) {
+        const summary = summarizeUser(plays, user.id);
+        lines = [
+            `**Plays triggered by ${user}**`,
+            `Total: ${summary.total}`,
+            summary.lastPlayedAt ? `Last: <t:${Math.floor(Date.parse(summary.lastPlayedAt) / 1000)}:R>` : 'Last: never',
+            `By trigger: ${summary.triggers.length > 0 ? summary.triggers.map(({ value, count }) => `${value} ${count}`).join(', ') : 'none'}`,
+            '**Most played sounds**',
+            ...ranked(summary.topSounds, sound => sound)
+        ];
+    } else {
+        const summary = summarizeGuild(plays, library.list(interaction.guildId));
+        const unplayed = summary.unplayed.join(', ');
+        lines = [
+            `**Play statistics** (${summary.total} plays)`,
+            '**Most played sounds**',
+            ...ranked(summary.topSounds, sound => sound),
+            '**Most active members**',
+            ...ranked(summary.topUsers, userId => `<@${userId}>`),
+            `**Not played in the last ${UNPLAYED_DAYS} days**`,
+            unplayed.length > 0 ? unplayed : 'none'
+        ];
+    }
+
+    // Long sound lists would go over Discord's message limit
+    let content = lines.join('\n');
+    if (content.length > 2000) {
+        content = `${content.slice(0, 1997)}...`;
+    }
+    await interaction.reply({ content, files, ephemeral: true });
+}
+
+module.exports = { handleStats };
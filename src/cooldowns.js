@@ -0,0 +1,93 @@
+// Join sound limits for guilds that have not configured their own
+const DEFAULT_LIMITS = {
+    // Seconds before the same member can trigger another join sound
+    userCooldown: 30,
+    // Seconds before another join sound can play in the same channel
+    channelCooldown: 5,
+    // At most guildLimit join sounds per guildWindow seconds across the whole guild
+    guildLimit: 10,
+    guildWindow: 60,
+    // "HH:MM" window in the bot's local time during which join sounds are muted, or null
+    quietStart: null,
+    quietEnd: null
+};
+
+// Soundboard presses are deliberate, so they get shorter cooldowns than join sounds
+const DEFAULT_SOUNDBOARD_LIMITS = {
+    ...DEFAULT_LIMITS,
+    userCooldown: 3,
+    channelCooldown: 0,
+    guildLimit: 30
+};
+
+// Parse "HH:MM" into minutes after midnight, or null if it is not a valid time
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+// Whether the time falls inside a window that may wrap past midnight
+function isInWindow(date, start, end) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const from = parseTime(start);
+    const to = parseTime(end);
+    if (from === null || to === null || from === to) return false;
+    return from < to
+        ? minutes >= from && minutes < to
+        : minutes >= from || minutes < to;
+}
+
+// Track recent join sounds to stop reconnect spam from flooding a channel.
+// defaults fill in whatever the guild has not configured.
+function createJoinLimiter(defaults = DEFAULT_LIMITS) {
+    const lastUserPlay = new Map();
+    const lastChannelPlay = new Map();
+    const guildPlays = new Map();
+
+    // Return why a join sound should be suppressed, or null if it may play.
+    // Allowed plays are recorded against every limit.
+    function check({ guildId, userId, channelId }, settings = {}, now = new Date()) {
+        const limits = { ...defaults, ...settings };
+        const time = now.getTime();
+
+        if (limits.quietStart && limits.quietEnd && isInWindow(now, limits.quietStart, limits.quietEnd)) {
+            return `quiet hours (${limits.quietStart}-${limits.quietEnd})`;
+        }
+
+        const userKey = `${guildId}:${userId}`;
+        const userWait = (lastUserPlay.get(userKey) ?? -Infinity) + limits.userCooldown * 1000 - time;
+        if (userWait > 0) {
+            return `user cooldown (${Math.ceil(userWait / 1000)}s left)`;
+        }
+
+        const channelWait = (lastChannelPlay.get(channelId) ?? -Infinity) + limits.channelCooldown * 1000 - time;
+        if (channelWait > 0) {
+            return `channel cooldown (${Math.ceil(channelWait / 1000)}s left)`;
+        }
+
+        const recent = (guildPlays.get(guildId) || []).filter(played => played > time - limits.guildWindow * 1000);
+        guildPlays.set(guildId, recent);
+        if (recent.length >= limits.guildLimit) {
+            return `guild rate limit (${limits.guildLimit} per ${limits.guildWindow}s)`;
+        }
+
+        lastUserPlay.set(userKey, time);
+        lastChannelPlay.set(channelId, time);
+        recent.push(time);
+        return null;
+    }
+
+    return { check };
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    DEFAULT_SOUNDBOARD_LIMITS,
+    parseTime,
+    isInWindow,
+    createJoinLimiter
+};
@@ -0,0 +1,57 @@
+const http = require('http');
+
+// Local /health and Prometheus /metrics endpoints. They need no token, so like the admin API
+// they are only meant to listen on localhost or a private network.
+function createHealthServer({ client, playback, metrics, log }) {
+    const startedAt = Date.now();
+
+    function getHealth() {
+        const ready = client.isReady();
+        return {
+            status: ready ? 'ok' : 'disconnected',
+            uptime: Math.round((Date.now() - startedAt) / 1000),
+            guilds: client.guilds.cache.size,
+            voiceConnections: playback.getConnectionCount(),
+            ping: ready ? client.ws.ping : null
+        };
+    }
+
+    function getGauges() {
+        const health = getHealth();
+        return {
+            unrk_up: { help: 'Whether the bot is connected to Discord', value: health.status === 'ok' ? 1 : 0 },
+            unrk_uptime_seconds: { help: 'Seconds since the bot started', value: health.uptime },
+            unrk_guilds: { help: 'Servers the bot is in', value: health.guilds },
+            unrk_voice_connections: { help: 'Voice channels the bot is connected to', value: health.voiceConnections }
+        };
+    }
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET') {
+            res.writeHead(405, { Allow: 'GET' });
+            res.end();
+        } else if (pathname === '/health') {
+            const health = getHealth();
+            res.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(health));
+        } else if (pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            res.end(metrics.render(getGauges()));
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+
+    return {
+        listen(port, host) {
+            server.listen(port, host, () => log.info(`Health and metrics listening on http://${host}:${port}`));
+        },
+        close() {
+            server.close();
+        }
+    };
+}
+
+module.exports = { createHealthServer };
@@ -0,0 +1,258 @@
+const { spawn } = require('child_process');
+const { writeFileSync, copyFileSync, renameSync, rmSync, mkdirSync, mkdtempSync, existsSync } = require('fs');
+const { join, dirname } = require('path');
+const { tmpdir } = require('os');
+
+// Limits for uploaded clips
+const MAX_UPLOAD_BYTES = 8 * 1024 * 1024;
+const MAX_DURATION_SECONDS = 20;
+const MAX_SOURCE_DURATION_SECONDS = 600;
+const MAX_NAME_LENGTH = 32;
+
+// How long a single ffmpeg run may take before it is killed
+const FFMPEG_TIMEOUT = 60_000;
+
+// Loudness target used when the reference clip cannot be measured
+const DEFAULT_LOUDNESS = -16;
+
+const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Rejections that are safe to show to the uploader as-is
+class IngestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IngestError';
+    }
+}
+
+// Work out the audio container from the first bytes of the file
+function detectFormat(buffer) {
+    const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+    if (ascii(0, 3) === 'ID3') return 'mp3';
+    if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) return 'mp3';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+    if (ascii(0, 4) === 'OggS') return 'ogg';
+    if (ascii(0, 4) === 'fLaC') return 'flac';
+    if (buffer.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+    // MP4 audio, which often turns up renamed to .mp3
+    if (ascii(4, 8) === 'ftyp') return 'm4a';
+    return null;
+}
+
+// Reduce a requested name to something safe to use as a file name, or null if nothing is left
+function sanitizeSoundName(name) {
+    const sanitized = name
+        .replace(/\.mp3$/i, '')
+        .replace(/[^a-zA-Z0-9 _-]+/g, '-')
+        .replace(/-{2,}/g, '-')
+        .replace(/^[\s-]+|[\s-]+$/g, '')
+        .slice(0, MAX_NAME_LENGTH)
+        .trim();
+    return sanitized || null;
+}
+
+// Run ffmpeg and resolve with everything it wrote to stderr, killing it if it runs too long
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, ['-hide_banner', '-nostdin', ...args]);
+        let stderr = '';
+        let timedOut = false;
+
+        const killTimer = setTimeout(() => {
+            timedOut = true;
+            ffmpeg.kill('SIGKILL');
+        }, FFMPEG_TIMEOUT);
+
+        ffmpeg.stderr.on('data', chunk => {
+            stderr += chunk;
+        });
+        ffmpeg.on('error', error => {
+            clearTimeout(killTimer);
+            reject(error);
+        });
+        ffmpeg.on('close', code => {
+            clearTimeout(killTimer);
+            if (timedOut) {
+                reject(new IngestError(`That file took more than ${FFMPEG_TIMEOUT / 1000} seconds to process.`));
+            } else if (code === 0) {
+                resolve(stderr);
+            } else {
+                reject(new Error(`ffmpeg exited with code ${code}:\n${stderr.slice(-500)}`));
+            }
+        });
+    });
+}
+
+// Decode a file once to find its duration and integrated loudness. Decoding stops just past
+// MAX_SOURCE_DURATION_SECONDS, so an overlong file reports that length instead of being decoded in full.
+async function analyze(filePath) {
+    const output = await runFfmpeg([
+        '-t', String(MAX_SOURCE_DURATION_SECONDS + 1),
+        '-i', filePath,
+        '-af', 'loudnorm=print_format=json',
+        '-f', 'null', '-'
+    ]);
+
+    // The last progress line holds the decoded length, which is reliable even without a Duration header
+    const times = [...output.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+    const last = times[times.length - 1];
+    const duration = last ? Number(last[1]) * 3600 + Number(last[2]) * 60 + Number(last[3]) : null;
+
+    const stats = output.match(/\{[^{}]*"input_i"[^{}]*\}/);
+    const loudness = stats ? Number(JSON.parse(stats[0]).input_i) : null;
+
+    return {
+        duration,
+        loudness: Number.isFinite(loudness) ? loudness : null
+    };
+}
+
+// Measure the reference clip once; uploads are normalized to its loudness
+let referenceLoudness = null;
+function getReferenceLoudness(referencePath, log) {
+    if (!referenceLoudness) {
+        referenceLoudness = (existsSync(referencePath) ? analyze(referencePath) : Promise.resolve({}))
+            .then(({ loudness }) => loudness ?? DEFAULT_LOUDNESS)
+            .catch(error => {
+                log.warn(`Could not measure reference loudness, using ${DEFAULT_LOUDNESS} LUFS: ${error.message}`);
+                return DEFAULT_LOUDNESS;
+            });
+    }
+    return referenceLoudness;
+}
+
+// Download the attachment, checking its size as it arrives
+async function download(attachment, limit = MAX_UPLOAD_BYTES) {
+    const tooLarge = () => new IngestError(`That file is too large. The limit is ${limit / 1024 / 1024} MB.`);
+    if (attachment.size > limit) {
+        throw tooLarge();
+    }
+
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+        throw new Error(`Download failed with status ${response.status}`);
+    }
+
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of response.body) {
+        received += chunk.length;
+        if (received > limit) {
+            throw tooLarge();
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Build the ffmpeg filter chain that cuts out the requested segment and fades its edges
+function buildTrimFilters(sourceDuration, { start = 0, end, fadeIn = 0, fadeOut = 0 } = {}) {
+    if (start >= sourceDuration) {
+        throw new IngestError(`The start offset is past the end of the clip (${sourceDuration.toFixed(1)} seconds).`);
+    }
+    if (end !== undefined && end <= start) {
+        throw new IngestError('The end offset must come after the start offset.');
+    }
+
+    const clipEnd = Math.min(end ?? sourceDuration, sourceDuration);
+    const duration = clipEnd - start;
+    if (fadeIn + fadeOut > duration) {
+        throw new IngestError(`The fades are longer than the ${duration.toFixed(1)} second clip.`);
+    }
+
+    const filters = [];
+    if (start > 0 || clipEnd < sourceDuration) {
+        filters.push(`atrim=start=${start}:end=${clipEnd}`, 'asetpts=PTS-STARTPTS');
+    }
+    if (fadeIn > 0) {
+        filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+    }
+    if (fadeOut > 0) {
+        filters.push(`afade=t=out:st=${duration - fadeOut}:d=${fadeOut}`);
+    }
+    return { filters, duration };
+}
+
+// Validate an uploaded attachment and store it at filePath as a loudness-normalized MP3,
+// keeping only the segment described by trim ({ start, end, fadeIn, fadeOut } in seconds)
+async function ingestSound(attachment, options) {
+    const buffer = await download(attachment);
+    return ingestBuffer(buffer, options);
+}
+
+// Same as ingestSound, for audio that has already been received
+async function ingestBuffer(buffer, { filePath, referencePath, trim, log }) {
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+        throw new IngestError(`That file is too large. The limit is ${MAX_UPLOAD_BYTES / 1024 / 1024} MB.`);
+    }
+
+    const format = buffer.length >= 12 ? detectFormat(buffer) : null;
+    if (!format) {
+        throw new IngestError('Unsupported file type. Please upload an MP3, M4A, WAV, OGG, WebM or FLAC file.');
+    }
+
+    const workDir = mkdtempSync(join(tmpdir(), 'unrk-'));
+    try {
+        const inputPath = join(workDir, `input.${format}`);
+        const outputPath = join(workDir, 'output.mp3');
+        writeFileSync(inputPath, buffer);
+
+        let analysis;
+        try {
+            analysis = await analyze(inputPath);
+        } catch (error) {
+            if (error instanceof IngestError) throw error;
+            log.debug(`Could not decode upload: ${error.message}`);
+            throw new IngestError('That file could not be read as audio.');
+        }
+
+        if (!analysis.duration) {
+            throw new IngestError('That file does not contain any audio.');
+        }
+        if (analysis.duration > MAX_SOURCE_DURATION_SECONDS) {
+            throw new IngestError(`That file is too long to process. The limit is ${MAX_SOURCE_DURATION_SECONDS / 60} minutes.`);
+        }
+
+        // The length limit applies to what is kept, so a long clip can be trimmed down
+        const { filters, duration } = buildTrimFilters(analysis.duration, trim);
+        if (duration > MAX_DURATION_SECONDS) {
+            throw new IngestError(`That clip is ${duration.toFixed(1)} seconds long. The limit is ${MAX_DURATION_SECONDS} seconds, use the start and end options to trim it.`);
+        }
+
+        const target = await getReferenceLoudness(referencePath, log);
+        log.debug(`Normalizing ${format} upload from ${analysis.loudness} LUFS to ${target} LUFS`);
+
+        await runFfmpeg([
+            '-i', inputPath,
+            '-vn',
+            '-af', [...filters, `loudnorm=I=${target}:TP=-1.5:LRA=11`].join(','),
+            '-ar', '48000',
+            '-ac', '2',
+            '-codec:a', 'libmp3lame',
+            '-b:a', '128k',
+            outputPath
+        ]);
+
+        // The temp directory may be on another device, so copy next to the target before renaming
+        mkdirSync(dirname(filePath), { recursive: true });
+        copyFileSync(outputPath, `${filePath}.tmp`);
+        renameSync(`${filePath}.tmp`, filePath);
+
+        return { format, duration };
+    } finally {
+        rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    IngestError,
+    detectFormat,
+    sanitizeSoundName,
+    buildTrimFilters,
+    analyze,
+    download,
+    ingestSound,
+    ingestBuffer
+};
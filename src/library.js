@@ -0,0 +1,243 @@
+const { existsSync, readdirSync, mkdirSync, renameSync, copyFileSync, unlinkSync } = require('fs');
+const { join } = require('path');
+const { replaceSound } = require('./pools');
+
+// Subscribed sounds are named "<library>/<sound>", which no uploaded sound name can contain
+const LIBRARY_SEPARATOR = '/';
+
+// Longest a play count waits in memory before its guild is saved
+const PLAY_COUNT_SAVE_DELAY = 60_000;
+
+// Sound files and their metadata. Every guild sees the shared files in soundsDir
+// plus its own uploads in soundsDir/<guildId>, plus the public sounds of the libraries
+// it subscribes to, minus the shared and subscribed sounds it removed.
+function createSoundLibrary({ soundsDir, storage, log }) {
+    // Guilds with play counts not saved yet, and the timer that will save them
+    const pendingSaves = new Map();
+
+    // Directory holding the sounds uploaded to a guild
+    function getGuildDir(guildId) {
+        return join(soundsDir, guildId);
+    }
+
+    // List the mp3 files in a directory, or nothing if it cannot be read
+    function listSoundFiles(dir) {
+        if (!existsSync(dir)) return [];
+        try {
+            return readdirSync(dir).filter(file => file.endsWith('.mp3'));
+        } catch (error) {
+            log.error(`Error reading sounds directory ${dir}:`, error);
+            return [];
+        }
+    }
+
+    // Whether the sound is one of the shared files or a subscribed sound rather than a guild upload
+    function isShared(guildId, sound) {
+        return isSubscribed(sound) || !existsSync(join(getGuildDir(guildId), sound));
+    }
+
+    function isSubscribed(sound) {
+        return sound.includes(LIBRARY_SEPARATOR);
+    }
+
+    // The guild that shares its library under this name, or null
+    function findLibrary(name) {
+        return storage.getGuildIds().find(guildId => storage.getGuild(guildId).settings.sharing?.name === name) ?? null;
+    }
+
+    // The guild's own uploads that it has made public, if it shares its library
+    function listPublic(guildId) {
+        const { settings, sounds } = storage.getGuild(guildId);
+        if (!settings.sharing) return [];
+        return listSoundFiles(getGuildDir(guildId)).filter(sound => sounds[sound]?.public);
+    }
+
+    // Public sounds of every library the guild subscribes to, named "<library>/<sound>"
+    function listSubscribed(guildId) {
+        const sounds = [];
+        for (const sourceId of storage.getGuild(guildId).subscriptions) {
+            const name = storage.getGuild(sourceId).settings.sharing?.name;
+            for (const sound of listPublic(sourceId)) {
+                sounds.push(`${name}${LIBRARY_SEPARATOR}${sound}`);
+            }
+        }
+        return sounds;
+    }
+
+    // Get available sounds: the guild's own uploads plus the shared sounds folder and subscriptions
+    function list(guildId) {
+        const { hiddenSounds } = storage.getGuild(guildId);
+        const sounds = new Set(listSoundFiles(getGuildDir(guildId)));
+        for (const sound of [...listSoundFiles(soundsDir), ...listSubscribed(guildId)]) {
+            if (!hiddenSounds.includes(sound)) {
+                sounds.add(sound);
+            }
+        }
+        return [...sounds];
+    }
+
+    function has(guildId, sound) {
+        return list(guildId).includes(sound);
+    }
+
+    // Sounds whose name or tags contain the query, for autocomplete
+    function search(guildId, query) {
+        const { sounds } = storage.getGuild(guildId);
+        const needle = query.toLowerCase();
+        return list(guildId).filter(sound =>
+            sound.toLowerCase().includes(needle) ||
+            (sounds[sound]?.tags || []).some(tag => tag.includes(needle))
+        );
+    }
+
+    // Get the file for a sound, preferring the guild's own upload.
+    // Subscribed sounds are read from the sharing guild's folder, so they are never copied.
+    function getPath(guildId, sound) {
+        if (isSubscribed(sound)) {
+            const [name, file] = sound.split(LIBRARY_SEPARATOR);
+            const sourceId = findLibrary(name);
+            return join(sourceId ? getGuildDir(sourceId) : soundsDir, file);
+        }
+        const guildPath = join(getGuildDir(guildId), sound);
+        return existsSync(guildPath) ? guildPath : join(soundsDir, sound);
+    }
+
+    // Get a random sound
+    function getRandom(guildId) {
+        const sounds = list(guildId);
+        if (sounds.length === 0) return null;
+        const randomIndex = Math.floor(Math.random() * sounds.length);
+        return sounds[randomIndex];
+    }
+
+    // Everything known about a sound, or null if the guild does not have it
+    function getInfo(guildId, sound) {
+        if (!has(guildId, sound)) return null;
+        const { sounds } = storage.getGuild(guildId);
+        return {
+            playCount: 0,
+            tags: [],
+            ...getSourceInfo(sound),
+            ...sounds[sound],
+            shared: isShared(guildId, sound)
+        };
+    }
+
+    // Tags and length of a subscribed sound, as the sharing guild has them
+    function getSourceInfo(sound) {
+        if (!isSubscribed(sound)) return {};
+        const [name, file] = sound.split(LIBRARY_SEPARATOR);
+        const { tags = [], duration } = storage.getGuild(findLibrary(name)).sounds[file] || {};
+        return { tags, duration, library: name };
+    }
+
+    // Save metadata learned about a sound after the fact, such as a measured duration
+    function updateInfo(guildId, sound, info) {
+        const guild = storage.getGuild(guildId);
+        guild.sounds[sound] = { ...guild.sounds[sound], ...info };
+        return storage.saveGuild(guildId);
+    }
+
+    // Record a freshly uploaded sound, bringing back a shared sound of the same name if it was removed
+    function add(guildId, sound, info) {
+        const guild = storage.getGuild(guildId);
+        guild.sounds[sound] = info;
+        guild.hiddenSounds = guild.hiddenSounds.filter(hidden => hidden !== sound);
+        return storage.saveGuild(guildId);
+    }
+
+    // Count a play in memory. Guilds are saved at most once per PLAY_COUNT_SAVE_DELAY,
+    // since the play log already has every play; any other save of the guild takes the counts along.
+    function recordPlay(guildId, sound) {
+        const guild = storage.getGuild(guildId);
+        const info = guild.sounds[sound] || {};
+        guild.sounds[sound] = {
+            ...info,
+            playCount: (info.playCount || 0) + 1,
+            lastPlayedAt: new Date().toISOString()
+        };
+
+        if (pendingSaves.has(guildId)) return;
+        const timer = setTimeout(() => {
+            pendingSaves.delete(guildId);
+            storage.saveGuild(guildId);
+        }, PLAY_COUNT_SAVE_DELAY);
+        timer.unref();
+        pendingSaves.set(guildId, timer);
+    }
+
+    // Save play counts that are still waiting for their batch, such as when shutting down
+    function flushPlayCounts() {
+        for (const [guildId, timer] of pendingSaves) {
+            clearTimeout(timer);
+            storage.saveGuild(guildId);
+        }
+        pendingSaves.clear();
+    }
+
+    // Rename a sound and everything that refers to it. A shared or subscribed sound is copied
+    // into the guild's folder under the new name so other guilds keep the original.
+    function rename(guildId, sound, newSound) {
+        const guild = storage.getGuild(guildId);
+        const guildDir = getGuildDir(guildId);
+
+        mkdirSync(guildDir, { recursive: true });
+        if (isShared(guildId, sound)) {
+            copyFileSync(getPath(guildId, sound), join(guildDir, newSound));
+            guild.hiddenSounds.push(sound);
+        } else {
+            renameSync(join(guildDir, sound), join(guildDir, newSound));
+        }
+
+        if (guild.sounds[sound]) {
+            guild.sounds[newSound] = guild.sounds[sound];
+            delete guild.sounds[sound];
+        }
+        replaceSound(guild, sound, newSound);
+
+        log.info(`Renamed sound ${sound} to ${newSound} in guild ${guildId}`);
+        return storage.saveGuild(guildId);
+    }
+
+    // Remove a sound from every mapping and playlist that uses it. Shared sounds are only hidden from the guild.
+    function remove(guildId, sound) {
+        const guild = storage.getGuild(guildId);
+
+        if (isShared(guildId, sound)) {
+            guild.hiddenSounds.push(sound);
+        } else {
+            unlinkSync(join(getGuildDir(guildId), sound));
+        }
+
+        delete guild.sounds[sound];
+        replaceSound(guild, sound, null);
+
+        log.info(`Removed sound ${sound} from guild ${guildId}`);
+        return storage.saveGuild(guildId);
+    }
+
+    function setTags(guildId, sound, tags) {
+        return updateInfo(guildId, sound, { tags });
+    }
+
+    return {
+        getGuildDir,
+        findLibrary,
+        listPublic,
+        list,
+        has,
+        search,
+        getPath,
+        getRandom,
+        getInfo,
+        updateInfo,
+        add,
+        recordPlay,
+        flushPlayCounts,
+        rename,
+        remove,
+        setTags
+    };
+}
+
+module.exports = { LIBRARY_SEPARATOR, createSoundLibrary };
@@ -0,0 +1,115 @@
+const { existsSync, statSync, appendFileSync, renameSync, unlinkSync, mkdirSync } = require('fs');
+const { dirname } = require('path');
+
+// Log levels, most severe first. A logger writes its own level and everything above it.
+const LOG_LEVELS = {
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3
+};
+
+// Rotate log files once they reach this many bytes, keeping this many old files
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+const consoleMethods = {
+    error: 'error',
+    warn: 'warn',
+    info: 'log',
+    debug: 'debug'
+};
+
+// How a log entry ({ time, level, message, error, ...fields }) is turned into a line
+const formats = {
+    text: ({ time, level, message, error, ...fields }) => {
+        const context = Object.entries(fields)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => ` ${key}=${value}`)
+            .join('');
+        const stack = error ? `\n${error.stack || error}` : '';
+        return `[${time}] ${level.toUpperCase()}: ${message}${context}${stack}`;
+    },
+    json: ({ error, ...entry }) => JSON.stringify(error
+        ? { ...entry, error: { message: error.message, stack: error.stack } }
+        : entry)
+};
+
+// Append lines to a file, moving it to file.1 (and file.1 to file.2, and so on) once it grows past maxSize
+function createRotatingFile(filePath, { maxSize = DEFAULT_MAX_SIZE, maxFiles = DEFAULT_MAX_FILES } = {}) {
+    mkdirSync(dirname(filePath), { recursive: true });
+    let size = existsSync(filePath) ? statSync(filePath).size : 0;
+
+    function rotate() {
+        if (maxFiles > 0) {
+            for (let index = maxFiles - 1; index >= 1; index--) {
+                if (existsSync(`${filePath}.${index}`)) {
+                    renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+                }
+            }
+            renameSync(filePath, `${filePath}.1`);
+        } else {
+            unlinkSync(filePath);
+        }
+        size = 0;
+    }
+
+    return {
+        write(line) {
+            const bytes = Buffer.byteLength(line) + 1;
+            if (size > 0 && size + bytes > maxSize) {
+                rotate();
+            }
+            appendFileSync(filePath, `${line}\n`);
+            size += bytes;
+        }
+    };
+}
+
+// Create a logger writing entries at or above level to the console, and to a rotating file
+// when one is given. Every method takes an optional object of context fields, such as
+// guildId, userId or command, that ends up in the entry; child(fields) returns a logger
+// that adds them to everything it writes. onError is called for every error logged.
+function createLogger({ level = 'info', format = 'text', file, maxSize, maxFiles, onError = () => {} } = {}) {
+    if (!(level in LOG_LEVELS)) {
+        throw new Error(`Unknown log level '${level}'. Use one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    if (!formats[format]) {
+        throw new Error(`Unknown log format '${format}'. Use one of: ${Object.keys(formats).join(', ')}`);
+    }
+
+    const threshold = LOG_LEVELS[level];
+    const output = file ? createRotatingFile(file, { maxSize, maxFiles }) : null;
+
+    function write(entryLevel, message, error, fields) {
+        if (entryLevel === 'error') onError();
+        if (LOG_LEVELS[entryLevel] > threshold) return;
+
+        const line = formats[format]({ time: new Date().toISOString(), level: entryLevel, message, ...fields, error });
+        console[consoleMethods[entryLevel]](line);
+        if (output) {
+            try {
+                output.write(line);
+            } catch (writeError) {
+                console.error(`Could not write to log file ${file}: ${writeError.message}`);
+            }
+        }
+    }
+
+    function bind(fields) {
+        return {
+            error: (message, error, extra) => write('error', message, error, { ...fields, ...extra }),
+            warn: (message, extra) => write('warn', message, null, { ...fields, ...extra }),
+            info: (message, extra) => write('info', message, null, { ...fields, ...extra }),
+            debug: (message, extra) => write('debug', message, null, { ...fields, ...extra }),
+            child: extra => bind({ ...fields, ...extra })
+        };
+    }
+
+    return bind({});
+}
+
+module.exports = {
+    LOG_LEVELS,
+    createLogger
+};
@@ -0,0 +1,69 @@
+// Counters exposed on /metrics, with their help text and the labels they are split by
+const COUNTERS = {
+    unrk_voice_events_total: { help: 'Member joins, moves and leaves seen in voice channels', labels: ['event'] },
+    unrk_plays_total: { help: 'Sounds that started playing', labels: ['trigger'] },
+    unrk_errors_total: { help: 'Errors logged', labels: [] },
+    unrk_voice_connection_failures_total: { help: 'Voice connections that could not be established or recovered', labels: [] },
+    unrk_voice_reconnects_total: { help: 'Voice connections that recovered after being disconnected', labels: [] }
+};
+
+// Quote a label value the way the Prometheus text format expects
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// In-memory counters, reset when the bot restarts
+function createMetrics() {
+    const counters = new Map(Object.keys(COUNTERS).map(name => [name, new Map()]));
+
+    // Add to a counter, e.g. increment('unrk_plays_total', { trigger: 'join' })
+    function increment(name, labels = {}, by = 1) {
+        const series = counters.get(name);
+        if (!series) {
+            throw new Error(`Unknown metric '${name}'`);
+        }
+        const key = formatLabels(labels);
+        series.set(key, (series.get(key) || 0) + by);
+    }
+
+    // Current value of a counter, for the health check and tests
+    function get(name, labels = {}) {
+        return counters.get(name)?.get(formatLabels(labels)) || 0;
+    }
+
+    // Every counter in the Prometheus text format, followed by gauges given as { name: { help, value } }
+    function render(gauges = {}) {
+        const lines = [];
+        for (const [name, { help, labels }] of Object.entries(COUNTERS)) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+            const series = counters.get(name);
+            if (series.size === 0 && labels.length === 0) {
+                lines.push(`${name} 0`);
+            }
+            for (const [key, value] of series) {
+                lines.push(`${name}${key} ${value}`);
+            }
+        }
+        for (const [name, { help, value }] of Object.entries(gauges)) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${value}`);
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return {
+        increment,
+        get,
+        render
+    };
+}
+
+module.exports = {
+    COUNTERS,
+    createMetrics
+};
@@ -0,0 +1,92 @@
+const { PermissionFlagsBits } = require('discord.js');
+
+// Actions a guild can hand out to roles. Members with Manage Server can always do all of them.
+const ACTIONS = {
+    upload: 'Upload sounds',
+    manage: 'Rename, tag, remove and set the volume of sounds, manage playlists and post soundboards',
+    channelsound: 'Set and clear channel sounds',
+    othersounds: 'Set and clear sounds for other members',
+    serversounds: 'Set role and server default sounds, manage rules and set the server volume',
+    stop: 'Stop playback',
+    stats: 'Export play statistics',
+    library: 'Export, import and share the sound library',
+    debug: 'View debug output'
+};
+
+// Work out which action an /unrk subcommand (or subcommand group) run by userId needs,
+// or null if anyone may use it
+function getRequiredAction(subcommand, options, userId) {
+    switch (subcommand) {
+        case 'playlist':
+            return options.getSubcommand() === 'list' ? null : 'manage';
+        case 'rule':
+            return options.getSubcommand() === 'list' ? null : 'serversounds';
+        case 'share':
+            return options.getSubcommand() === 'list' ? null : 'library';
+        case 'export':
+        case 'import':
+            return 'library';
+        case 'addsound':
+            return 'upload';
+        case 'removesound':
+        case 'renamesound':
+        case 'tagsound':
+        case 'soundboard':
+            return 'manage';
+        case 'setsound':
+        case 'clearsound':
+            if (options.getString('type') === 'channel') return 'channelsound';
+            if (options.getString('type') === 'role' || options.getString('type') === 'default') return 'serversounds';
+            return (options.getUser('user')?.id ?? userId) !== userId ? 'othersounds' : null;
+        case 'volume':
+            if (options.getInteger('level') === null) return null;
+            if (options.getString('type') === 'sound') return 'manage';
+            return options.getString('type') === 'server' ? 'serversounds' : null;
+        case 'stop':
+            return 'stop';
+        case 'stats':
+            return options.getBoolean('export') ? 'stats' : null;
+        case 'debug':
+            return 'debug';
+        default:
+            return null;
+    }
+}
+
+// Role IDs of the member, whether discord.js has it cached or only the raw API data
+function getRoleIds(member) {
+    return Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+}
+
+// Check whether the member behind an interaction may perform the action in this guild
+function canPerform(interaction, action, settings) {
+    if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+
+    const allowedRoles = settings.permissions?.[action] || [];
+    return getRoleIds(interaction.member).some(roleId => allowedRoles.includes(roleId));
+}
+
+// Allow a role to perform an action, returning false if it already could
+function grant(settings, action, roleId) {
+    const permissions = settings.permissions || (settings.permissions = {});
+    const roles = permissions[action] || (permissions[action] = []);
+    if (roles.includes(roleId)) return false;
+    roles.push(roleId);
+    return true;
+}
+
+// Take an action away from a role, returning false if it could not perform it anyway
+function revoke(settings, action, roleId) {
+    const roles = settings.permissions?.[action] || [];
+    if (!roles.includes(roleId)) return false;
+    settings.permissions[action] = roles.filter(id => id !== roleId);
+    return true;
+}
+
+module.exports = {
+    ACTIONS,
+    getRequiredAction,
+    canPerform,
+    grant,
+    revoke
+};
@@ -0,0 +1,347 @@
+const {
+    joinVoiceChannel,
+    createAudioPlayer,
+    createAudioResource,
+    entersState,
+    AudioPlayerStatus,
+    VoiceConnectionStatus
+} = require('@discordjs/voice');
+const { createReadStream } = require('fs');
+
+// How long the bot stays in the channel after the queue runs dry, unless the guild keeps it around
+const LEAVE_DELAY = 1_000;
+
+// How long nobody may speak before a sound waiting for a pause plays
+const SILENCE_GAP = 1_000;
+
+// Resolve with true once nobody has spoken for SILENCE_GAP, or with false after maxWait
+function waitForSilence(speaking, maxWait) {
+    return new Promise(resolve => {
+        let silenceTimer = null;
+
+        const onStart = () => clearTimeout(silenceTimer);
+        const onEnd = () => {
+            if (speaking.users.size === 0) {
+                clearTimeout(silenceTimer);
+                silenceTimer = setTimeout(() => finish(true), SILENCE_GAP);
+            }
+        };
+        const finish = quiet => {
+            clearTimeout(silenceTimer);
+            clearTimeout(giveUpTimer);
+            speaking.off('start', onStart);
+            speaking.off('end', onEnd);
+            resolve(quiet);
+        };
+        const giveUpTimer = setTimeout(() => finish(false), maxWait);
+
+        speaking.on('start', onStart);
+        speaking.on('end', onEnd);
+        onEnd();
+    });
+}
+
+// Turn the resource down whenever someone speaks, returning a function that stops listening
+function duckWhileSpeaking(speaking, resource, volume, duckVolume) {
+    const update = () => resource.volume.setVolume(speaking.users.size > 0 ? volume * duckVolume : volume);
+    speaking.on('start', update);
+    speaking.on('end', update);
+    update();
+    return () => {
+        speaking.off('start', update);
+        speaking.off('end', update);
+    };
+}
+
+// Create the playback state for a single guild: one player, one connection,
+// a FIFO queue of pending sounds and a single leave timer
+function createGuildPlayback(guildId, { log, metrics, onPlay, getPresence, onDestroy }) {
+    const player = createAudioPlayer();
+    const queue = [];
+    let connection = null;
+    let current = null;
+    let leaveTimer = null;
+    let stopDucking = null;
+    let destroyed = false;
+
+    // Add error handling for the player
+    player.on('error', error => {
+        log.error(`Audio player error in guild ${guildId}:`, error);
+    });
+
+    // Move on to the next queued sound whenever the player goes idle
+    player.on('stateChange', (oldState, newState) => {
+        log.debug(`Player state changed in guild ${guildId}: ${oldState.status} -> ${newState.status}`);
+        if (newState.status === AudioPlayerStatus.Playing) {
+            log.info(`Audio is now playing in guild ${guildId}`);
+        } else if (newState.status === AudioPlayerStatus.Idle && oldState.status !== AudioPlayerStatus.Idle) {
+            log.info(`Audio playback finished in guild ${guildId}`);
+            stopDucking?.();
+            stopDucking = null;
+            current = null;
+            playNext();
+        }
+    });
+
+    // Attach the lifecycle handlers to a freshly created connection
+    function watchConnection(voiceConnection) {
+        voiceConnection.on('error', error => {
+            log.error(`Voice connection error in guild ${guildId}:`, error);
+        });
+
+        voiceConnection.on(VoiceConnectionStatus.Disconnected, async () => {
+            log.info('Voice connection disconnected, attempting to reconnect...');
+            try {
+                await Promise.race([
+                    entersState(voiceConnection, VoiceConnectionStatus.Signalling, 5_000),
+                    entersState(voiceConnection, VoiceConnectionStatus.Connecting, 5_000),
+                ]);
+                log.info('Successfully reconnected to voice channel');
+                metrics?.increment('unrk_voice_reconnects_total');
+            } catch (error) {
+                log.warn('Failed to reconnect, destroying connection');
+                metrics?.increment('unrk_voice_connection_failures_total');
+                destroy();
+            }
+        });
+
+        voiceConnection.on(VoiceConnectionStatus.Destroyed, () => {
+            if (connection === voiceConnection) {
+                connection = null;
+                destroy();
+            }
+        });
+    }
+
+    // Join the given voice channel, reusing the current connection when possible.
+    // The bot stays deafened unless it needs to hear who is speaking.
+    async function connect(channel, listen) {
+        if (connection && connection.joinConfig.channelId === channel.id && connection.joinConfig.selfDeaf === !listen) {
+            return connection;
+        }
+
+        log.debug(`Attempting to join channel: ${channel.name} (${channel.id})`);
+        const voiceConnection = joinVoiceChannel({
+            channelId: channel.id,
+            guildId: channel.guild.id,
+            adapterCreator: channel.guild.voiceAdapterCreator,
+            selfDeaf: !listen
+        });
+
+        // joinVoiceChannel hands back the existing connection when moving channels
+        if (voiceConnection !== connection) {
+            connection = voiceConnection;
+            watchConnection(voiceConnection);
+        }
+
+        try {
+            await entersState(voiceConnection, VoiceConnectionStatus.Ready, 5_000);
+        } catch (error) {
+            metrics?.increment('unrk_voice_connection_failures_total');
+            throw error;
+        }
+        log.info('Voice connection established successfully');
+
+        // Add a small delay to ensure connection is fully established
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        voiceConnection.subscribe(player);
+        log.debug('Connection subscribed to player');
+        return voiceConnection;
+    }
+
+    // Start the next queued sound, or schedule leaving when there is none
+    async function playNext() {
+        if (destroyed || current) return;
+
+        const item = queue.shift();
+        if (!item) {
+            scheduleLeave();
+            return;
+        }
+
+        clearTimeout(leaveTimer);
+        current = item;
+
+        try {
+            const mode = item.speaking?.mode ?? 'off';
+            const voiceConnection = await connect(item.channel, mode !== 'off');
+            if (destroyed) return;
+
+            // Stay out of the way of people who are talking
+            const { speaking } = voiceConnection.receiver;
+            if (mode === 'skip' && speaking.users.size > 0) {
+                log.info(`Skipped ${item.name} in guild ${guildId}: someone is speaking`);
+                current = null;
+                playNext();
+                return;
+            }
+            if (mode === 'wait' && speaking.users.size > 0) {
+                log.debug(`Waiting for a pause before playing ${item.name} in guild ${guildId}`);
+                const quiet = await waitForSilence(speaking, item.speaking.maxWait);
+                if (destroyed) return;
+                if (!quiet) {
+                    log.info(`Still talking after ${item.speaking.maxWait / 1000}s in guild ${guildId}, playing ${item.name} anyway`);
+                }
+            }
+
+            log.debug(`Using sound file: ${item.name}`);
+            const resource = createAudioResource(createReadStream(item.filePath), {
+                inlineVolume: true
+            });
+            const volume = item.volume ?? 1.0;
+            if (mode === 'duck') {
+                stopDucking = duckWhileSpeaking(speaking, resource, volume, item.speaking.duckVolume);
+            } else {
+                resource.volume.setVolume(volume);
+            }
+
+            player.play(resource);
+            log.info(`Audio playback started: ${item.name}`);
+            onPlay(guildId, item);
+        } catch (error) {
+            log.error(`Error playing ${item.name} in guild ${guildId}:`, error);
+            current = null;
+            playNext();
+        }
+    }
+
+    // Leave the channel once nothing has been queued for a while. Guilds that keep the bot
+    // around send it back to its home channel, if anyone is there to hear it, and only leave
+    // after their idle timeout.
+    function scheduleLeave() {
+        clearTimeout(leaveTimer);
+        const presence = getPresence(guildId);
+        const home = presence?.channel;
+
+        if (home && connection && connection.joinConfig.channelId !== home.id &&
+            home.members.filter(member => !member.user.bot).size > 0) {
+            log.debug(`Returning to home channel ${home.name} in guild ${guildId}`);
+            connect(home, false).catch(error => {
+                log.error(`Error returning to home channel in guild ${guildId}:`, error);
+                destroy();
+            });
+        }
+
+        leaveTimer = setTimeout(() => {
+            if (!current && queue.length === 0) {
+                log.info(presence ? 'Idle timeout reached, disconnecting...' : 'Queue is empty, disconnecting...');
+                destroy();
+            }
+        }, presence ? presence.idleTimeout : LEAVE_DELAY);
+    }
+
+    // Sit in a channel without playing anything, leaving again once the guild's idle timeout passes
+    async function join(channel) {
+        clearTimeout(leaveTimer);
+        await connect(channel, false);
+        if (!current && queue.length === 0) {
+            scheduleLeave();
+        }
+    }
+
+    // Add a sound to the queue and return how many sounds are ahead of it
+    function enqueue(item) {
+        const position = queue.length + (current ? 1 : 0);
+        queue.push(item);
+        log.debug(`Queued ${item.name} in guild ${guildId} at position ${position}`);
+        playNext();
+        return position;
+    }
+
+    // Drop the queue, stop the player and leave the voice channel
+    function destroy() {
+        if (destroyed) return;
+        destroyed = true;
+
+        clearTimeout(leaveTimer);
+        stopDucking?.();
+        stopDucking = null;
+        queue.length = 0;
+        current = null;
+        player.stop(true);
+
+        if (connection) {
+            const voiceConnection = connection;
+            connection = null;
+            if (voiceConnection.state.status !== VoiceConnectionStatus.Destroyed) {
+                voiceConnection.destroy();
+            }
+        }
+
+        onDestroy(guildId);
+    }
+
+    return {
+        enqueue,
+        join,
+        destroy,
+        get busy() {
+            return current !== null || queue.length > 0;
+        },
+        get channelId() {
+            return connection ? connection.joinConfig.channelId : null;
+        }
+    };
+}
+
+// Keep one playback state per guild so servers never interrupt each other.
+// onPlay(guildId, item) is called whenever a queued sound starts playing.
+// getPresence(guildId) returns { channel, idleTimeout } for guilds that keep the bot in voice
+// between sounds, where channel is the home channel or null to stay wherever it last played.
+// metrics, when given, counts voice connection failures and reconnects.
+function createPlaybackManager({ log, metrics, onPlay = () => {}, getPresence = () => null }) {
+    const guilds = new Map();
+
+    function get(guildId) {
+        let playback = guilds.get(guildId);
+        if (!playback) {
+            playback = createGuildPlayback(guildId, {
+                log,
+                metrics,
+                onPlay,
+                getPresence,
+                onDestroy: () => guilds.delete(guildId)
+            });
+            guilds.set(guildId, playback);
+        }
+        return playback;
+    }
+
+    return {
+        // Queue a sound ({ name, filePath, channel, volume, speaking }) for the guild.
+        // speaking is { mode, maxWait, duckVolume }: mode 'wait' holds the sound until a pause of
+        // at most maxWait ms, 'duck' plays it at duckVolume times the volume while anyone talks
+        // and 'skip' drops it when someone is talking.
+        enqueue: (guildId, item) => get(guildId).enqueue(item),
+
+        // Connect to a channel without playing anything, for guilds that keep the bot in voice
+        join: (guildId, channel) => get(guildId).join(channel),
+
+        // Leave the guild's voice channel, returning whether the bot was active
+        stop(guildId) {
+            const playback = guilds.get(guildId);
+            if (!playback) return false;
+            playback.destroy();
+            return true;
+        },
+
+        // Whether a sound is playing or queued in the guild
+        isPlaying(guildId) {
+            return guilds.get(guildId)?.busy ?? false;
+        },
+
+        // The voice channel the bot is currently connected to in the guild
+        getChannelId(guildId) {
+            const playback = guilds.get(guildId);
+            return playback ? playback.channelId : null;
+        },
+
+        // How many guilds the bot is connected to voice in
+        getConnectionCount() {
+            return [...guilds.values()].filter(playback => playback.channelId).length;
+        }
+    };
+}
+
+module.exports = { createPlaybackManager };
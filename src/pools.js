@@ -0,0 +1,166 @@
+// A pool is either { sounds: [{ name, weight }], noRepeat } or { playlist: name }.
+// Users, channels and roles map each voice event to a pool; the guild default does too.
+const MAPPING_KEYS = ['userSounds', 'channelSounds', 'roleSounds'];
+
+// Pool with a single sound, which is what a plain setsound creates
+function createPool(sound, weight = 1) {
+    return { sounds: [{ name: sound, weight }] };
+}
+
+// Pick a sound by weight, skipping the last `noRepeat` picks while anything else is left
+function pickFromPool(entries, noRepeat = 0, recent = []) {
+    if (entries.length === 0) return null;
+
+    const skipped = noRepeat > 0 ? recent.slice(-noRepeat) : [];
+    const fresh = entries.filter(entry => !skipped.includes(entry.name));
+    const choices = fresh.length > 0 ? fresh : entries;
+
+    const total = choices.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = Math.random() * total;
+    for (const entry of choices) {
+        roll -= entry.weight;
+        if (roll < 0) return entry.name;
+    }
+    return choices[choices.length - 1].name;
+}
+
+// Short human-readable summary of a pool
+function describePool(pool) {
+    if (pool.playlist) return `playlist ${pool.playlist}`;
+    const sounds = pool.sounds
+        .map(entry => entry.weight === 1 ? entry.name : `${entry.name} (weight ${entry.weight})`)
+        .join(', ');
+    return pool.noRepeat ? `${sounds}, no repeats of the last ${pool.noRepeat}` : sounds;
+}
+
+// Parse "MM-DD" into a comparable number, or null if it is not a valid date
+function parseDay(value) {
+    const match = /^(\d{1,2})-(\d{1,2})$/.exec(value.trim());
+    if (!match) return null;
+    const month = Number(match[1]);
+    const day = Number(match[2]);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return month * 100 + day;
+}
+
+// Whether a { start, end } "MM-DD" range covers the date; ranges may wrap past new year
+function isScheduleActive(schedule, now = new Date()) {
+    if (!schedule) return false;
+    const today = (now.getMonth() + 1) * 100 + now.getDate();
+    const start = parseDay(schedule.start);
+    const end = parseDay(schedule.end);
+    if (start === null || end === null) return false;
+    return start <= end
+        ? today >= start && today <= end
+        : today >= start || today <= end;
+}
+
+// The event-to-pool map for a mapping target ({ type, id } where type is user, channel,
+// role or default), optionally creating it
+function getMappedEvents(guild, target, create) {
+    if (target.type === 'default') return guild.defaultSounds;
+
+    const mappings = guild[`${target.type}Sounds`];
+    if (!Object.hasOwn(mappings, target.id)) {
+        if (!create) return undefined;
+        mappings[target.id] = {};
+    }
+    return mappings[target.id];
+}
+
+// Drop a user, channel or role mapping once it has no events left
+function removeEmptyMapping(guild, target) {
+    if (target.type === 'default') return;
+    const mappings = guild[`${target.type}Sounds`];
+    if (mappings[target.id] && Object.keys(mappings[target.id]).length === 0) {
+        delete mappings[target.id];
+    }
+}
+
+// Call back with every mapped pool and rule pool and a function that removes it,
+// tidying up emptied mappings
+function forEachMappedPool(guild, callback) {
+    for (const key of MAPPING_KEYS) {
+        const mappings = guild[key];
+        for (const [id, events] of Object.entries(mappings)) {
+            for (const [event, pool] of Object.entries(events)) {
+                callback(pool, () => delete events[event]);
+            }
+            if (Object.keys(events).length === 0) {
+                delete mappings[id];
+            }
+        }
+    }
+    for (const [event, pool] of Object.entries(guild.defaultSounds)) {
+        callback(pool, () => delete guild.defaultSounds[event]);
+    }
+
+    const removedRules = new Set();
+    for (const rule of guild.rules) {
+        callback(rule.pool, () => removedRules.add(rule));
+    }
+    guild.rules = guild.rules.filter(rule => !removedRules.has(rule));
+}
+
+// Point every pool and playlist at the new sound name, or drop the sound when newSound is null.
+// Mapped pools left without sounds are removed; playlists are kept even when empty.
+function replaceSound(guild, sound, newSound) {
+    const update = pool => {
+        if (!pool.sounds) return;
+        pool.sounds = newSound
+            ? pool.sounds.map(entry => entry.name === sound ? { ...entry, name: newSound } : entry)
+            : pool.sounds.filter(entry => entry.name !== sound);
+    };
+
+    for (const playlist of Object.values(guild.playlists)) {
+        update(playlist);
+    }
+    forEachMappedPool(guild, (pool, remove) => {
+        update(pool);
+        if (pool.sounds && pool.sounds.length === 0) {
+            remove();
+        }
+    });
+}
+
+// Reduce a requested playlist or library name to lowercase letters, numbers, dashes and underscores.
+// Names that would reach Object.prototype, like __proto__ or constructor, are refused.
+function sanitizeName(name) {
+    const sanitized = name
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 32);
+    return sanitized && !Object.hasOwn(Object.prototype, sanitized) ? sanitized : null;
+}
+
+// The guild's playlist with this name, or null. Only the guild's own playlists count.
+function getPlaylist(guild, name) {
+    return Object.hasOwn(guild.playlists, name) ? guild.playlists[name] : null;
+}
+
+// Delete a playlist along with every mapping and rule that points at it
+function removePlaylist(guild, name) {
+    delete guild.playlists[name];
+    forEachMappedPool(guild, (pool, remove) => {
+        if (pool.playlist === name) {
+            remove();
+        }
+    });
+}
+
+module.exports = {
+    MAPPING_KEYS,
+    createPool,
+    pickFromPool,
+    describePool,
+    parseDay,
+    isScheduleActive,
+    getMappedEvents,
+    removeEmptyMapping,
+    replaceSound,
+    sanitizeName,
+    getPlaylist,
+    removePlaylist
+};
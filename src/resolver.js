@@ -0,0 +1,125 @@
+const { pickFromPool, describePool, isScheduleActive, getPlaylist } = require('./pools');
+const { findMatchingRules } = require('./rules');
+const { isTtsSound } = require('./tts');
+
+// How many recent picks are remembered per pool for the no-repeat rule
+const HISTORY_SIZE = 10;
+
+// The order pools are tried in, most specific first. The first pool with a playable sound wins.
+const RESOLUTION_ORDER = [
+    { source: 'rule', description: 'Matching rule, in the order they were added' },
+    { source: 'schedule', description: 'Scheduled playlist for today (joins and moves only)' },
+    { source: 'user', description: 'User sound' },
+    { source: 'channel', description: 'Channel sound' },
+    { source: 'role', description: 'Role sound, highest role first' },
+    { source: 'default', description: 'Server default sound' },
+    { source: 'random', description: 'Random sound from the library (joins and moves only)' }
+];
+
+// Works out which sound to play for a voice event
+function createSoundResolver({ storage, library, log }) {
+    const history = new Map();
+
+    // The playlist whose schedule covers today, if any
+    function getScheduledPlaylist(guild, now) {
+        const entry = Object.entries(guild.playlists).find(([, playlist]) => isScheduleActive(playlist.schedule, now));
+        return entry ? entry[0] : null;
+    }
+
+    // Pools to try for the event, in resolution order
+    function getCandidates(guild, context) {
+        const { event, userId, channelId, roleIds, now } = context;
+        const candidates = [];
+
+        for (const rule of findMatchingRules(guild.rules, context)) {
+            candidates.push({ source: 'rule', key: `rule:${rule.id}`, pool: rule.pool });
+        }
+
+        if (event !== 'leave') {
+            const scheduled = getScheduledPlaylist(guild, now);
+            if (scheduled) {
+                candidates.push({ source: 'schedule', key: `playlist:${scheduled}`, pool: { playlist: scheduled } });
+            }
+        }
+
+        // Moving into a channel counts as joining it unless a move sound is set
+        const events = event === 'move' ? ['move', 'join'] : [event];
+        for (const candidate of events) {
+            const push = (source, id, pool) => {
+                if (pool) candidates.push({ source, key: `${source}:${id}:${candidate}`, pool });
+            };
+            push('user', userId, guild.userSounds[userId]?.[candidate]);
+            push('channel', channelId, guild.channelSounds[channelId]?.[candidate]);
+            for (const roleId of roleIds) {
+                push('role', roleId, guild.roleSounds[roleId]?.[candidate]);
+            }
+            push('default', 'guild', guild.defaultSounds[candidate]);
+        }
+
+        return candidates;
+    }
+
+    // Pick from a pool, following playlist references and skipping sounds that no longer exist.
+    // Spoken text is always available.
+    function pick(guild, key, pool, available) {
+        const source = pool.playlist ? getPlaylist(guild, pool.playlist) : pool;
+        if (!source) return null;
+
+        const entries = source.sounds.filter(entry => isTtsSound(entry.name) || available.has(entry.name));
+        return pickFromPool(entries, source.noRepeat, history.get(key) || []);
+    }
+
+    // Add a resolved sound to its pool's no-repeat history.
+    // Called once the sound is actually going to play, so suppressed picks don't count.
+    function remember({ key, sound }) {
+        if (!key) return;
+        history.set(key, [...(history.get(key) || []), sound].slice(-HISTORY_SIZE));
+    }
+
+    // Find the sound for a member's join, move or leave.
+    // roleIds should be sorted with the highest role first. memberCount and firstToday
+    // describe the channel for rules.
+    // Returns { sound, source, key } or null when nothing should play. Pass the result to
+    // remember once the sound plays; key is null for random sounds, which have no history.
+    function resolve({ guildId, event, userId, channelId, roleIds = [], memberCount = 0, firstToday = false, now = new Date() }) {
+        const guild = storage.getGuild(guildId);
+        const available = new Set(library.list(guildId));
+        log.debug(`Getting ${event} sound for user ${userId} in channel ${channelId}`);
+
+        const context = { event, userId, channelId, roleIds, memberCount, firstToday, now };
+        for (const { source, key, pool } of getCandidates(guild, context)) {
+            const sound = pick(guild, key, pool, available);
+            if (sound) {
+                log.debug(`Found ${source} sound (${describePool(pool)}): ${sound}`);
+                return { sound, source, key };
+            }
+        }
+
+        // Leaving only plays a sound when one was set
+        if (event === 'leave') {
+            return null;
+        }
+
+        // No specific sound found, use a random sound
+        const randomSound = library.getRandom(guildId);
+        if (randomSound) {
+            log.debug(`Using random sound: ${randomSound}`);
+            return { sound: randomSound, source: 'random', key: null };
+        }
+
+        // Fallback if no sounds are available
+        log.debug('No sounds available, cannot play anything');
+        return null;
+    }
+
+    return {
+        resolve,
+        remember,
+        getScheduledPlaylist
+    };
+}
+
+module.exports = {
+    RESOLUTION_ORDER,
+    createSoundResolver
+};
@@ -0,0 +1,75 @@
+const { isInWindow } = require('./cooldowns');
+const { describePool } = require('./pools');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Parse "mon,wed,fri", "weekdays" or "weekends" into day numbers (0 is Sunday), or null if invalid
+function parseDays(value) {
+    const days = new Set();
+    for (const part of value.toLowerCase().split(',').map(day => day.trim()).filter(Boolean)) {
+        if (part === 'weekdays') {
+            [1, 2, 3, 4, 5].forEach(day => days.add(day));
+        } else if (part === 'weekends') {
+            [0, 6].forEach(day => days.add(day));
+        } else {
+            const day = DAY_NAMES.indexOf(part.slice(0, 3));
+            if (day === -1) return null;
+            days.add(day);
+        }
+    }
+    return days.size > 0 ? [...days].sort() : null;
+}
+
+// Check a rule's conditions against a voice event. Every condition that is set must hold.
+// context is { event, roleIds, channelId, memberCount, firstToday, now }
+function matchesRule(rule, context) {
+    const { conditions } = rule;
+    const events = context.event === 'move' ? ['move', 'join'] : [context.event];
+
+    if (!events.includes(rule.event)) return false;
+    if (conditions.roleId && !context.roleIds.includes(conditions.roleId)) return false;
+    if (conditions.channelId && conditions.channelId !== context.channelId) return false;
+    if (conditions.days && !conditions.days.includes(context.now.getDay())) return false;
+    if (conditions.from && conditions.to && !isInWindow(context.now, conditions.from, conditions.to)) return false;
+    if (conditions.minMembers !== undefined && context.memberCount < conditions.minMembers) return false;
+    if (conditions.maxMembers !== undefined && context.memberCount > conditions.maxMembers) return false;
+    if (conditions.firstToday && !context.firstToday) return false;
+    return true;
+}
+
+// Rules that apply to the event, in the order they were added
+function findMatchingRules(rules, context) {
+    return rules.filter(rule => matchesRule(rule, context));
+}
+
+// Give a new rule the next free ID and add it after the existing ones
+function addRule(guild, rule) {
+    const id = guild.rules.reduce((max, existing) => Math.max(max, existing.id), 0) + 1;
+    const added = { id, ...rule };
+    guild.rules.push(added);
+    return added;
+}
+
+// One-line summary of a rule for /unrk rule list and /unrk debug
+function describeRule(rule) {
+    const { conditions } = rule;
+    const parts = [];
+    if (conditions.roleId) parts.push(`has <@&${conditions.roleId}>`);
+    if (conditions.channelId) parts.push(`in <#${conditions.channelId}>`);
+    if (conditions.days) parts.push(`on ${conditions.days.map(day => DAY_NAMES[day]).join(', ')}`);
+    if (conditions.from && conditions.to) parts.push(`between ${conditions.from} and ${conditions.to}`);
+    if (conditions.minMembers !== undefined) parts.push(`at least ${conditions.minMembers} in the channel`);
+    if (conditions.maxMembers !== undefined) parts.push(`at most ${conditions.maxMembers} in the channel`);
+    if (conditions.firstToday) parts.push('first to join the channel today');
+
+    const when = parts.length > 0 ? parts.join(', ') : 'always';
+    return `#${rule.id} on ${rule.event}, ${when}: ${describePool(rule.pool)}`;
+}
+
+module.exports = {
+    parseDays,
+    matchesRule,
+    findMatchingRules,
+    addRule,
+    describeRule
+};
@@ -0,0 +1,44 @@
+// Guild settings defaults and the labels shown for them
+
+// Which voice events play sounds in guilds that have not changed them
+const DEFAULT_VOICE_EVENTS = {
+    moves: true,
+    bots: false
+};
+
+// How voice event sounds behave while people are talking, for guilds that have not changed it.
+// maxWait is in seconds and duckVolume in percent.
+const DEFAULT_SPEAKING = {
+    mode: 'off',
+    maxWait: 10,
+    duckVolume: 30
+};
+
+// Whether the bot stays in voice between sounds, for guilds that have not changed it.
+// channelId is the home channel, or null to stay wherever it last played. idleTimeout is in minutes.
+const DEFAULT_PRESENCE = {
+    stay: false,
+    channelId: null,
+    idleTimeout: 10
+};
+
+const speakingModes = {
+    off: 'play straight away',
+    wait: 'wait for a pause',
+    duck: 'play quieter while anyone talks',
+    skip: 'skip the sound'
+};
+
+const eventLabels = {
+    join: 'Join',
+    move: 'Move',
+    leave: 'Leave'
+};
+
+module.exports = {
+    DEFAULT_VOICE_EVENTS,
+    DEFAULT_SPEAKING,
+    DEFAULT_PRESENCE,
+    speakingModes,
+    eventLabels
+};
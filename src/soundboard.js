@@ -0,0 +1,103 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+
+// Every soundboard component ID starts with this, so presses still work after a restart
+const CUSTOM_ID_PREFIX = 'unrk-board';
+
+// Discord allows 5 rows of 5 buttons, or a select menu of 25 options per row
+const MAX_ROWS = 5;
+const BUTTONS_PER_ROW = 5;
+const OPTIONS_PER_MENU = 25;
+
+// Pages of select menus keep the last row for the page buttons
+const MENUS_PER_PAGE = MAX_ROWS - 1;
+const SOUNDS_PER_PAGE = MENUS_PER_PAGE * OPTIONS_PER_MENU;
+
+// Custom IDs are limited to 100 characters, so sounds with longer names cannot get a button
+const MAX_ID_LENGTH = 100;
+
+function soundLabel(sound) {
+    return sound.replace(/\.mp3$/, '').slice(0, 80);
+}
+
+function isSoundboardInteraction(interaction) {
+    return (interaction.isButton() || interaction.isStringSelectMenu()) &&
+        interaction.customId.startsWith(`${CUSTOM_ID_PREFIX}:`);
+}
+
+// Work out what a press asks for: { action: 'play', sound } or { action: 'page', page }
+function parseSoundboardInteraction(interaction) {
+    const [, action, ...rest] = interaction.customId.split(':');
+    const value = rest.join(':');
+    if (action === 'page') {
+        return { action, page: Number(value) };
+    }
+    if (action === 'select') {
+        return { action: 'play', sound: interaction.values[0] };
+    }
+    return { action, sound: value };
+}
+
+// Message contents for the soundboard. Small libraries get a button per sound;
+// bigger ones get pages of select menus.
+function buildSoundboard(sounds, page = 0) {
+    const playable = sounds
+        .filter(sound => `${CUSTOM_ID_PREFIX}:play:${sound}`.length <= MAX_ID_LENGTH)
+        .sort((a, b) => a.localeCompare(b));
+
+    if (playable.length === 0) {
+        return { content: 'No sounds to put on the soundboard yet.', components: [] };
+    }
+
+    if (playable.length <= MAX_ROWS * BUTTONS_PER_ROW) {
+        const components = [];
+        for (let start = 0; start < playable.length; start += BUTTONS_PER_ROW) {
+            components.push(new ActionRowBuilder().addComponents(
+                playable.slice(start, start + BUTTONS_PER_ROW).map(sound =>
+                    new ButtonBuilder()
+                        .setCustomId(`${CUSTOM_ID_PREFIX}:play:${sound}`)
+                        .setLabel(soundLabel(sound))
+                        .setStyle(ButtonStyle.Secondary)
+                )
+            ));
+        }
+        return { content: '**Soundboard**: click a sound to play it in your voice channel.', components };
+    }
+
+    const pageCount = Math.ceil(playable.length / SOUNDS_PER_PAGE);
+    const current = Math.min(Math.max(page, 0), pageCount - 1);
+    const pageSounds = playable.slice(current * SOUNDS_PER_PAGE, (current + 1) * SOUNDS_PER_PAGE);
+
+    const components = [];
+    for (let start = 0; start < pageSounds.length; start += OPTIONS_PER_MENU) {
+        const menuSounds = pageSounds.slice(start, start + OPTIONS_PER_MENU);
+        components.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`${CUSTOM_ID_PREFIX}:select:${current}:${start}`)
+                .setPlaceholder(`${soundLabel(menuSounds[0])} to ${soundLabel(menuSounds[menuSounds.length - 1])}`.slice(0, 150))
+                .addOptions(menuSounds.map(sound => ({ label: soundLabel(sound), value: sound })))
+        ));
+    }
+    components.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${CUSTOM_ID_PREFIX}:page:${current - 1}`)
+            .setLabel('Previous')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(current === 0),
+        new ButtonBuilder()
+            .setCustomId(`${CUSTOM_ID_PREFIX}:page:${current + 1}`)
+            .setLabel('Next')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(current === pageCount - 1)
+    ));
+
+    return {
+        content: `**Soundboard** (page ${current + 1} of ${pageCount}): pick a sound to play it in your voice channel.`,
+        components
+    };
+}
+
+module.exports = {
+    isSoundboardInteraction,
+    parseSoundboardInteraction,
+    buildSoundboard
+};
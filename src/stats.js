@@ -0,0 +1,63 @@
+// Sounds not played for this many days are listed as forgotten
+const UNPLAYED_DAYS = 30;
+
+// How many entries the top lists show
+const TOP_COUNT = 10;
+
+// Count plays by a key, most played first
+function countBy(plays, key) {
+    const counts = new Map();
+    for (const play of plays) {
+        const value = play[key];
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// Top sounds, top members and library sounds that have gone quiet, for /unrk stats
+function summarizeGuild(plays, sounds, now = new Date()) {
+    const cutoff = now.getTime() - UNPLAYED_DAYS * 24 * 60 * 60 * 1000;
+    const recentlyPlayed = new Set(
+        plays.filter(play => Date.parse(play.playedAt) >= cutoff).map(play => play.sound)
+    );
+
+    return {
+        total: plays.length,
+        topSounds: countBy(plays, 'sound').slice(0, TOP_COUNT),
+        topUsers: countBy(plays, 'userId').slice(0, TOP_COUNT),
+        unplayed: sounds.filter(sound => !recentlyPlayed.has(sound)).sort()
+    };
+}
+
+// What a single member has triggered, by sound and by trigger
+function summarizeUser(plays, userId) {
+    const own = plays.filter(play => play.userId === userId);
+    return {
+        total: own.length,
+        topSounds: countBy(own, 'sound').slice(0, TOP_COUNT),
+        triggers: countBy(own, 'trigger'),
+        lastPlayedAt: own.length > 0 ? own[own.length - 1].playedAt : null
+    };
+}
+
+// Quote a CSV field when it contains anything that would break the row
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The play log as CSV, one row per play
+function toCsv(plays) {
+    const columns = ['playedAt', 'guildId', 'channelId', 'userId', 'trigger', 'sound'];
+    const rows = plays.map(play => columns.map(column => csvField(play[column])).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    UNPLAYED_DAYS,
+    summarizeGuild,
+    summarizeUser,
+    toCsv
+};
@@ -0,0 +1,333 @@
+const { existsSync, readFileSync, writeFileSync, appendFileSync, renameSync, mkdirSync, openSync, fsyncSync, closeSync } = require('fs');
+const { dirname } = require('path');
+
+// Version of the stored data layout, bumped whenever a migration is added
+const SCHEMA_VERSION = 3;
+
+// Upgrade steps, keyed by the version they upgrade from
+const migrations = {
+    // Version 0 is the original soundMappings.json, which was not scoped to a guild.
+    // Its mappings are parked until the bot knows which guilds they belong to.
+    0: data => ({
+        version: 1,
+        guilds: {},
+        legacy: {
+            channelSounds: data.channelSounds || {},
+            userSounds: data.userSounds || {}
+        }
+    }),
+
+    // Version 1 mapped each user and channel to a single sound, played on join.
+    // Version 2 keeps a sound per voice event: join, move and leave.
+    1: data => {
+        const byEvent = mappings => Object.fromEntries(
+            Object.entries(mappings).map(([id, sound]) => [id, { join: sound }])
+        );
+        for (const guild of Object.values(data.guilds)) {
+            guild.userSounds = byEvent(guild.userSounds || {});
+            guild.channelSounds = byEvent(guild.channelSounds || {});
+        }
+        if (data.legacy) {
+            data.legacy.userSounds = byEvent(data.legacy.userSounds);
+            data.legacy.channelSounds = byEvent(data.legacy.channelSounds);
+        }
+        return { ...data, version: 2 };
+    },
+
+    // Version 2 mapped each event to a single sound name.
+    // Version 3 maps it to a pool of weighted sounds.
+    2: data => {
+        const toPools = mappings => {
+            for (const events of Object.values(mappings)) {
+                for (const [event, sound] of Object.entries(events)) {
+                    events[event] = { sounds: [{ name: sound, weight: 1 }] };
+                }
+            }
+            return mappings;
+        };
+        for (const guild of Object.values(data.guilds)) {
+            toPools(guild.userSounds);
+            toPools(guild.channelSounds);
+        }
+        if (data.legacy) {
+            toPools(data.legacy.userSounds);
+            toPools(data.legacy.channelSounds);
+        }
+        return { ...data, version: 3 };
+    }
+};
+
+// Bring stored data up to the current schema version
+function migrate(data) {
+    let version = data.version || 0;
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Stored data has schema version ${version}, but this bot only supports up to ${SCHEMA_VERSION}`);
+    }
+
+    while (version < SCHEMA_VERSION) {
+        data = migrations[version](data);
+        version = data.version;
+    }
+    return data;
+}
+
+// Default data for a guild the bot has not stored anything for yet
+function createGuildData() {
+    return {
+        userSounds: {},
+        channelSounds: {},
+        roleSounds: {},
+        defaultSounds: {},
+        playlists: {},
+        rules: [],
+        firstJoins: {},
+        settings: {},
+        sounds: {},
+        hiddenSounds: [],
+        subscriptions: []
+    };
+}
+
+// Write a file so that a crash leaves either the old or the new contents, never half of each
+function writeFileAtomic(filePath, contents) {
+    mkdirSync(dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = openSync(tempPath, 'w');
+    try {
+        writeFileSync(fd, contents);
+        fsyncSync(fd);
+    } finally {
+        closeSync(fd);
+    }
+    renameSync(tempPath, filePath);
+}
+
+// Keep everything in a single JSON document. The play log grows without bound,
+// so it is appended to a JSON lines file next to it instead of rewriting the document.
+function createJsonBackend(filePath, log) {
+    const playsPath = filePath.replace(/(\.json)?$/, '.plays.jsonl');
+
+    return {
+        load() {
+            if (!existsSync(filePath)) return null;
+            return JSON.parse(readFileSync(filePath, 'utf8'));
+        },
+        save(data) {
+            writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+        },
+        appendPlay(play) {
+            mkdirSync(dirname(playsPath), { recursive: true });
+            appendFileSync(playsPath, `${JSON.stringify(play)}\n`);
+        },
+        // A crash halfway through an append leaves a torn line, which is skipped rather than
+        // making the whole log unreadable
+        loadPlays(guildId) {
+            if (!existsSync(playsPath)) return [];
+            const plays = [];
+            readFileSync(playsPath, 'utf8').split('\n').forEach((line, index) => {
+                if (!line) return;
+                try {
+                    plays.push(JSON.parse(line));
+                } catch (error) {
+                    log.warn(`Skipping unreadable line ${index + 1} of ${playsPath}: ${error.message}`);
+                }
+            });
+            return plays.filter(play => play.guildId === guildId);
+        }
+    };
+}
+
+// Keep one row per guild in a local SQLite file
+function createSqliteBackend(filePath) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite storage backend needs the better-sqlite3 package. Install it or use STORAGE_BACKEND=json');
+    }
+
+    mkdirSync(dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+        CREATE TABLE IF NOT EXISTS guilds (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+        CREATE TABLE IF NOT EXISTS plays (
+            guild_id TEXT NOT NULL,
+            channel_id TEXT,
+            user_id TEXT,
+            sound TEXT NOT NULL,
+            trigger TEXT NOT NULL,
+            played_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS plays_by_guild ON plays (guild_id, played_at);
+    `);
+
+    const writeMeta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+    const writeGuild = db.prepare('INSERT OR REPLACE INTO guilds (id, data) VALUES (?, ?)');
+    const writePlay = db.prepare(
+        'INSERT INTO plays (guild_id, channel_id, user_id, sound, trigger, played_at) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    const readPlays = db.prepare(`
+        SELECT guild_id AS guildId, channel_id AS channelId, user_id AS userId, sound, trigger, played_at AS playedAt
+        FROM plays WHERE guild_id = ? ORDER BY played_at
+    `);
+
+    return {
+        load() {
+            const rows = db.prepare('SELECT key, value FROM meta').all();
+            if (rows.length === 0) return null;
+
+            const data = { guilds: {} };
+            for (const { key, value } of rows) {
+                data[key] = JSON.parse(value);
+            }
+            for (const row of db.prepare('SELECT id, data FROM guilds').all()) {
+                data.guilds[row.id] = JSON.parse(row.data);
+            }
+            return data;
+        },
+        // Only the given guilds are rewritten; without a list every guild is
+        save(data, guildIds = Object.keys(data.guilds)) {
+            const { guilds, ...meta } = data;
+            db.transaction(() => {
+                db.prepare('DELETE FROM meta').run();
+                for (const [key, value] of Object.entries(meta)) {
+                    writeMeta.run(key, JSON.stringify(value));
+                }
+                for (const guildId of guildIds) {
+                    writeGuild.run(guildId, JSON.stringify(guilds[guildId]));
+                }
+            })();
+        },
+        appendPlay({ guildId, channelId, userId, sound, trigger, playedAt }) {
+            writePlay.run(guildId, channelId, userId, sound, trigger, playedAt);
+        },
+        loadPlays(guildId) {
+            return readPlays.all(guildId);
+        }
+    };
+}
+
+const backends = {
+    json: createJsonBackend,
+    sqlite: createSqliteBackend
+};
+
+// Open the store, importing the old soundMappings.json the first time it runs
+function createStorage({ backend = 'json', path, legacyPath, log }) {
+    if (!backends[backend]) {
+        throw new Error(`Unknown storage backend '${backend}'. Use one of: ${Object.keys(backends).join(', ')}`);
+    }
+
+    const store = backends[backend](path, log);
+    let data = store.load();
+    const isNew = !data;
+
+    if (isNew) {
+        data = { version: SCHEMA_VERSION, guilds: {} };
+        if (legacyPath && existsSync(legacyPath)) {
+            try {
+                data = JSON.parse(readFileSync(legacyPath, 'utf8'));
+                log.info(`Importing sound mappings from ${legacyPath}`);
+            } catch (error) {
+                log.error('Error loading sound mappings:', error);
+            }
+        }
+    }
+
+    const storedVersion = data.version || 0;
+    if (storedVersion < SCHEMA_VERSION) {
+        log.info(`Migrating stored data from schema version ${storedVersion} to ${SCHEMA_VERSION}`);
+    }
+    data = migrate(data);
+    if (isNew || storedVersion < SCHEMA_VERSION) {
+        store.save(data);
+    }
+
+    log.info(`Loaded ${backend} storage from ${path}`);
+
+    // Get a guild's data, filling in any fields added since it was first stored
+    function getGuild(guildId) {
+        const guild = data.guilds[guildId] || (data.guilds[guildId] = {});
+        for (const [key, value] of Object.entries(createGuildData())) {
+            if (!(key in guild)) {
+                guild[key] = value;
+            }
+        }
+        return guild;
+    }
+
+    // IDs of every guild with stored data
+    function getGuildIds() {
+        return Object.keys(data.guilds);
+    }
+
+    function saveGuild(guildId) {
+        try {
+            store.save(data, [guildId]);
+            log.debug(`Saved data for guild ${guildId}`);
+            return true;
+        } catch (error) {
+            log.error(`Error saving data for guild ${guildId}:`, error);
+            return false;
+        }
+    }
+
+    // Add a play to the log: { guildId, channelId, userId, sound, trigger, playedAt }
+    function recordPlay(play) {
+        try {
+            store.appendPlay(play);
+            return true;
+        } catch (error) {
+            log.error(`Error recording play of ${play.sound} in guild ${play.guildId}:`, error);
+            return false;
+        }
+    }
+
+    // Every play logged in the guild, oldest first
+    function getPlays(guildId) {
+        return store.loadPlays(guildId);
+    }
+
+    // Hand the unscoped mappings from soundMappings.json to the guilds they belong to.
+    // Channel sounds go to the guild that owns the channel; user sounds used to apply
+    // everywhere, so every guild gets a copy.
+    function adoptLegacyMappings(guilds) {
+        if (!data.legacy) return;
+
+        const { channelSounds, userSounds } = data.legacy;
+        for (const { id, channelIds } of guilds) {
+            const guild = getGuild(id);
+            for (const [channelId, sound] of Object.entries(channelSounds)) {
+                if (channelIds.includes(channelId) && !guild.channelSounds[channelId]) {
+                    guild.channelSounds[channelId] = sound;
+                }
+            }
+            for (const [userId, sound] of Object.entries(userSounds)) {
+                if (!guild.userSounds[userId]) {
+                    guild.userSounds[userId] = sound;
+                }
+            }
+        }
+
+        delete data.legacy;
+        try {
+            store.save(data);
+            log.info('Moved legacy sound mappings into per-guild storage');
+        } catch (error) {
+            log.error('Error saving migrated sound mappings:', error);
+        }
+    }
+
+    return {
+        getGuild,
+        getGuildIds,
+        saveGuild,
+        recordPlay,
+        getPlays,
+        adoptLegacyMappings
+    };
+}
+
+module.exports = { createStorage, writeFileAtomic, SCHEMA_VERSION };
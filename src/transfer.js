@@ -0,0 +1,525 @@
+const AdmZip = require('adm-zip');
+const { mkdirSync, mkdtempSync, renameSync, rmSync } = require('fs');
+const { join } = require('path');
+const { MAX_UPLOAD_BYTES, IngestError, sanitizeSoundName, ingestBuffer } = require('./ingest');
+const { MAPPING_KEYS, parseDay, sanitizeName } = require('./pools');
+const { addRule } = require('./rules');
+const { parseTime } = require('./cooldowns');
+const { LIBRARY_SEPARATOR } = require('./library');
+const { MAX_TTS_LENGTH, isTtsSound, getTtsText } = require('./tts');
+const { MAX_VOLUME } = require('./volume');
+
+// Name and version of the manifest at the root of every export
+const MANIFEST_NAME = 'unrk-export.json';
+const EXPORT_FORMAT = 'unrk-export';
+const EXPORT_VERSION = 1;
+
+// Sound files live under this folder inside the archive
+const SOUNDS_FOLDER = 'sounds/';
+
+// Limits for archives being imported, checked before anything is unpacked
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+const MAX_IMPORT_ENTRIES = 500;
+
+// Sound metadata worth carrying to another server; play counts start over
+const EXPORTED_INFO = ['tags', 'volume', 'duration', 'uploadedBy', 'uploadedAt', 'public'];
+
+// What to do with sounds, playlists and mappings that already exist: keep the existing ones,
+// import under a new name, or replace them
+const CONFLICT_MODES = ['skip', 'rename', 'overwrite'];
+
+// The voice events pools can be mapped to, and the limits /unrk setsound and /unrk playlist keep to
+const EVENTS = ['join', 'move', 'leave'];
+const MAX_WEIGHT = 100;
+const MAX_NO_REPEAT = 10;
+
+// Rejections that are safe to show to the importer as-is
+class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportError';
+    }
+}
+
+function pick(object, keys) {
+    return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+// Zip up the guild's own uploads, their metadata, mappings, playlists and rules
+function exportGuild(guildId, { storage, library, guildName }) {
+    const guild = storage.getGuild(guildId);
+    const zip = new AdmZip();
+    const sounds = {};
+
+    for (const sound of library.list(guildId)) {
+        if (!library.getInfo(guildId, sound).shared) {
+            zip.addLocalFile(library.getPath(guildId, sound), SOUNDS_FOLDER);
+        }
+        if (guild.sounds[sound]) {
+            sounds[sound] = pick(guild.sounds[sound], EXPORTED_INFO);
+        }
+    }
+
+    const manifest = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        guild: { id: guildId, name: guildName },
+        sounds,
+        userSounds: guild.userSounds,
+        channelSounds: guild.channelSounds,
+        roleSounds: guild.roleSounds,
+        defaultSounds: guild.defaultSounds,
+        playlists: guild.playlists,
+        rules: guild.rules
+    };
+    zip.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2)));
+    return zip.toBuffer();
+}
+
+// Open an archive and check it is an export this bot can read, without unpacking it
+function readArchive(buffer) {
+    if (buffer.length > MAX_IMPORT_BYTES) {
+        throw new ImportError(`That archive is too large. The limit is ${MAX_IMPORT_BYTES / 1024 / 1024} MB.`);
+    }
+
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (error) {
+        throw new ImportError('That file is not a zip archive.');
+    }
+
+    const entries = zip.getEntries();
+    if (entries.length > MAX_IMPORT_ENTRIES) {
+        throw new ImportError(`That archive has more than ${MAX_IMPORT_ENTRIES} files.`);
+    }
+    const unpackedSize = entries.reduce((total, entry) => total + entry.header.size, 0);
+    if (unpackedSize > MAX_IMPORT_BYTES) {
+        throw new ImportError(`That archive unpacks to more than ${MAX_IMPORT_BYTES / 1024 / 1024} MB.`);
+    }
+
+    const manifestEntry = zip.getEntry(MANIFEST_NAME);
+    if (!manifestEntry) {
+        throw new ImportError(`That archive has no ${MANIFEST_NAME}. Use a file made by /unrk export.`);
+    }
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+    } catch (error) {
+        throw new ImportError(`The ${MANIFEST_NAME} in that archive is not valid JSON.`);
+    }
+    if (manifest.format !== EXPORT_FORMAT || typeof manifest.version !== 'number') {
+        throw new ImportError('That archive was not made by /unrk export.');
+    }
+    if (manifest.version > EXPORT_VERSION) {
+        throw new ImportError(`That archive has export version ${manifest.version}, but this bot only supports up to ${EXPORT_VERSION}.`);
+    }
+
+    const soundEntries = entries.filter(entry =>
+        !entry.isDirectory && entry.entryName.startsWith(SOUNDS_FOLDER) && entry.entryName !== SOUNDS_FOLDER
+    );
+    return { manifest, soundEntries };
+}
+
+// The first of name-2, name-3, ... for a sound that is not taken
+function findFreeSoundName(sound, isTaken) {
+    const base = sound.replace(/\.mp3$/, '');
+    for (let suffix = 2; ; suffix++) {
+        const candidate = `${sanitizeSoundName(`${base.slice(0, 28)}-${suffix}`)}.mp3`;
+        if (!isTaken(candidate)) return candidate;
+    }
+}
+
+// The first of name-2, name-3, ... for a playlist that is not taken
+function findFreePlaylistName(name, isTaken) {
+    for (let suffix = 2; ; suffix++) {
+        const candidate = sanitizeName(`${name.slice(0, 28)}-${suffix}`);
+        if (!isTaken(candidate)) return candidate;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// IDs and names used as keys: nothing a command could not have stored, and nothing that reaches Object.prototype
+function isSafeKey(key) {
+    return /^[\w-]{1,64}$/.test(key) && !Object.hasOwn(Object.prototype, key);
+}
+
+// An uploaded sound, a subscribed "<library>/<sound>" or spoken text
+function isSoundName(name) {
+    if (typeof name !== 'string') return false;
+    if (isTtsSound(name)) return getTtsText(name).trim().length > 0 && getTtsText(name).length <= MAX_TTS_LENGTH;
+    const parts = name.split(LIBRARY_SEPARATOR);
+    const file = parts.pop();
+    return parts.length <= 1 && parts.every(isSafeKey) && `${sanitizeSoundName(file)}.mp3` === file;
+}
+
+// Everything in the manifest is checked before any of it is used, the same way the commands check what they store
+function invalid(where, problem) {
+    return new ImportError(`That archive is damaged: ${where} ${problem}.`);
+}
+
+// A pool of weighted sounds or a playlist, rebuilt from the fields a pool may have.
+// Playlists themselves may be empty; mapped pools may not.
+function parsePool(pool, where, { playlistNames, allowEmpty = false }) {
+    if (!isObject(pool)) throw invalid(where, 'is not a sound pool');
+    if (pool.playlist !== undefined) {
+        if (!playlistNames.has(pool.playlist)) {
+            throw invalid(where, 'uses a playlist that is neither in the archive nor on this server');
+        }
+        return { playlist: pool.playlist };
+    }
+
+    if (!Array.isArray(pool.sounds) || (!allowEmpty && pool.sounds.length === 0)) {
+        throw invalid(where, 'has no list of sounds');
+    }
+    const parsed = { sounds: [] };
+    for (const entry of pool.sounds) {
+        if (!isObject(entry) || !isSoundName(entry.name)) {
+            throw invalid(where, 'has a sound with an invalid name');
+        }
+        if (!Number.isInteger(entry.weight) || entry.weight < 1 || entry.weight > MAX_WEIGHT) {
+            throw invalid(where, `has a weight that is not a whole number from 1 to ${MAX_WEIGHT}`);
+        }
+        parsed.sounds.push({ name: entry.name, weight: entry.weight });
+    }
+    if (pool.noRepeat !== undefined) {
+        if (!Number.isInteger(pool.noRepeat) || pool.noRepeat < 0 || pool.noRepeat > MAX_NO_REPEAT) {
+            throw invalid(where, `has a no-repeat count that is not a whole number from 0 to ${MAX_NO_REPEAT}`);
+        }
+        parsed.noRepeat = pool.noRepeat;
+    }
+    return parsed;
+}
+
+function parsePlaylist(playlist, where, options) {
+    const parsed = parsePool(playlist, where, { ...options, allowEmpty: true });
+    if (parsed.playlist) throw invalid(where, 'points at another playlist');
+    if (playlist.schedule !== undefined) {
+        const { start, end } = isObject(playlist.schedule) ? playlist.schedule : {};
+        if (typeof start !== 'string' || typeof end !== 'string' || parseDay(start) === null || parseDay(end) === null) {
+            throw invalid(where, 'has a schedule that is not two MM-DD dates');
+        }
+        parsed.schedule = { start, end };
+    }
+    return parsed;
+}
+
+// Rule conditions as /unrk rule add stores them
+function parseConditions(conditions = {}, where) {
+    if (!isObject(conditions)) throw invalid(where, 'has conditions that are not an object');
+    const parsed = {};
+    for (const key of ['roleId', 'channelId']) {
+        if (conditions[key] === undefined) continue;
+        if (typeof conditions[key] !== 'string' || !isSafeKey(conditions[key])) {
+            throw invalid(where, `has an invalid ${key}`);
+        }
+        parsed[key] = conditions[key];
+    }
+    if (conditions.days !== undefined) {
+        const { days } = conditions;
+        if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            throw invalid(where, 'has days that are not day numbers from 0 to 6');
+        }
+        parsed.days = [...new Set(days)].sort();
+    }
+    if (conditions.from !== undefined || conditions.to !== undefined) {
+        const { from, to } = conditions;
+        if (typeof from !== 'string' || typeof to !== 'string' || parseTime(from) === null || parseTime(to) === null) {
+            throw invalid(where, 'has a time window that is not two HH:MM times');
+        }
+        parsed.from = from.trim();
+        parsed.to = to.trim();
+    }
+    for (const key of ['minMembers', 'maxMembers']) {
+        if (conditions[key] === undefined) continue;
+        if (!Number.isInteger(conditions[key]) || conditions[key] < 0) {
+            throw invalid(where, `has a ${key} that is not a whole number`);
+        }
+        parsed[key] = conditions[key];
+    }
+    if (conditions.firstToday !== undefined) {
+        if (typeof conditions.firstToday !== 'boolean') throw invalid(where, 'has a firstToday that is not true or false');
+        if (conditions.firstToday) parsed.firstToday = true;
+    }
+    return parsed;
+}
+
+// Sound metadata limited to EXPORTED_INFO, with each field the type the bot stores
+function parseSoundInfo(info, where) {
+    if (!isObject(info)) throw invalid(where, 'is not an object');
+    const checks = {
+        tags: value => Array.isArray(value) && value.every(tag => typeof tag === 'string'),
+        volume: value => Number.isInteger(value) && value >= 0 && value <= MAX_VOLUME,
+        duration: value => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+        uploadedBy: value => value === null || (typeof value === 'string' && isSafeKey(value)),
+        uploadedAt: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+        public: value => typeof value === 'boolean'
+    };
+    for (const key of EXPORTED_INFO) {
+        if (info[key] !== undefined && !checks[key](info[key])) {
+            throw invalid(where, `has an invalid ${key}`);
+        }
+    }
+    return pick(info, EXPORTED_INFO);
+}
+
+// An object whose keys pass isKey, each value parsed with parseValue; a missing section is empty
+function parseSection(section = {}, where, parseValue, isKey = isSafeKey) {
+    if (!isObject(section)) throw invalid(where, 'is not an object');
+    const parsed = {};
+    for (const [key, value] of Object.entries(section)) {
+        if (!isKey(key)) throw invalid(where, 'has an invalid name or ID in it');
+        parsed[key] = parseValue(value, `${where} ${key}`);
+    }
+    return parsed;
+}
+
+// Voice events mapped to pools, for one member, channel, role or the server default
+function parseEvents(events, where, options) {
+    if (!isObject(events)) throw invalid(where, 'is not a map of voice events');
+    const parsed = {};
+    for (const [event, pool] of Object.entries(events)) {
+        if (!EVENTS.includes(event)) throw invalid(where, 'has an unknown voice event');
+        parsed[event] = parsePool(pool, `${where} ${event}`, options);
+    }
+    return parsed;
+}
+
+// Check the whole manifest and rebuild it from the fields the bot uses. Pools may point at
+// playlists in the archive or ones the guild already has.
+function parseManifest(manifest, existingPlaylists) {
+    const names = Object.keys(parseSection(manifest.playlists, 'playlist', playlist => playlist));
+    for (const name of names) {
+        if (sanitizeName(name) !== name) throw invalid(`playlist ${name}`, 'has a name /unrk playlist would not accept');
+    }
+    const options = { playlistNames: new Set([...names, ...existingPlaylists]) };
+    const playlists = {};
+    for (const name of names) {
+        playlists[name] = parsePlaylist(manifest.playlists[name], `playlist ${name}`, options);
+    }
+
+    const parsed = {
+        sounds: parseSection(manifest.sounds, 'sound info', parseSoundInfo, name => isSoundName(name) && !isTtsSound(name)),
+        playlists,
+        defaultSounds: parseEvents(manifest.defaultSounds ?? {}, 'defaultSounds', options)
+    };
+    for (const key of MAPPING_KEYS) {
+        parsed[key] = parseSection(manifest[key], key, (events, where) => parseEvents(events, where, options));
+    }
+
+    if (manifest.rules !== undefined && !Array.isArray(manifest.rules)) throw invalid('rules', 'is not a list');
+    parsed.rules = (manifest.rules ?? []).map((rule, index) => {
+        const where = `rule ${index + 1}`;
+        if (!isObject(rule)) throw invalid(where, 'is not an object');
+        if (!EVENTS.includes(rule.event)) throw invalid(where, 'has an unknown voice event');
+        return {
+            event: rule.event,
+            conditions: parseConditions(rule.conditions, where),
+            pool: parsePool(rule.pool, where, options)
+        };
+    });
+    return parsed;
+}
+
+// Restore an export into the guild. conflict is one of CONFLICT_MODES; channelIds and roleIds
+// are the guild's current ones, so mappings and rules for channels and roles it does not have are dropped,
+// as are those left without a sound the guild has. Sounds go through the same checks and loudness
+// normalization as uploads, into a staging folder, and the whole archive is checked before anything
+// is written. Returns what happened to each part of the archive.
+async function importGuild(buffer, {
+    guildId,
+    storage,
+    library,
+    conflict = 'skip',
+    channelIds = [],
+    roleIds = [],
+    referencePath,
+    ingest = ingestBuffer,
+    log
+}) {
+    if (!CONFLICT_MODES.includes(conflict)) {
+        throw new ImportError(`Unknown conflict handling '${conflict}'. Use one of: ${CONFLICT_MODES.join(', ')}.`);
+    }
+
+    const archive = readArchive(buffer);
+    const guild = storage.getGuild(guildId);
+    const manifest = parseManifest(archive.manifest, Object.keys(guild.playlists));
+    const summary = { added: [], renamed: [], overwritten: [], skipped: [], invalid: [], mappings: 0, playlists: 0, rules: 0, dropped: 0 };
+
+    const guildDir = library.getGuildDir(guildId);
+    mkdirSync(guildDir, { recursive: true });
+    const stagingDir = mkdtempSync(join(guildDir, '.import-'));
+    try {
+        // Work out where each sound goes, remembering new names so the mappings can follow them
+        const existing = new Set(library.list(guildId));
+        const writes = [];
+        const soundNames = new Map();
+        for (const entry of archive.soundEntries) {
+            const sound = entry.entryName.slice(SOUNDS_FOLDER.length);
+            if (`${sanitizeSoundName(sound)}.mp3` !== sound || entry.header.size > MAX_UPLOAD_BYTES) {
+                summary.invalid.push(sound);
+                continue;
+            }
+            if (existing.has(sound) && conflict === 'skip') {
+                summary.skipped.push(sound);
+                continue;
+            }
+
+            const stagedPath = join(stagingDir, sound);
+            let duration;
+            try {
+                ({ duration } = await ingest(entry.getData(), { filePath: stagedPath, referencePath, log }));
+            } catch (error) {
+                if (!(error instanceof IngestError)) throw error;
+                log.info(`Left ${sound} out of the import: ${error.message}`);
+                summary.invalid.push(sound);
+                continue;
+            }
+
+            let target = sound;
+            if (existing.has(sound)) {
+                if (conflict === 'rename') {
+                    target = findFreeSoundName(sound, name => existing.has(name) || writes.some(write => write.target === name));
+                    summary.renamed.push([sound, target]);
+                } else {
+                    summary.overwritten.push(sound);
+                }
+            } else {
+                summary.added.push(sound);
+            }
+            writes.push({ sound, target, stagedPath, duration });
+            soundNames.set(sound, target);
+        }
+
+        // Pool entries follow renamed sounds and playlists; sounds the guild will not have are left out
+        const playlistNames = new Map();
+        for (const name of Object.keys(manifest.playlists)) {
+            if (!guild.playlists[name]) {
+                playlistNames.set(name, name);
+            } else if (conflict === 'rename') {
+                playlistNames.set(name, findFreePlaylistName(name, candidate =>
+                    Boolean(guild.playlists[candidate]) || [...playlistNames.values()].includes(candidate)));
+            } else if (conflict === 'overwrite') {
+                playlistNames.set(name, name);
+            }
+        }
+        const follow = pool => {
+            if (pool.playlist) {
+                return { playlist: playlistNames.get(pool.playlist) ?? pool.playlist };
+            }
+            const sounds = pool.sounds
+                .filter(entry => isTtsSound(entry.name) || soundNames.has(entry.name) || existing.has(entry.name))
+                .map(entry => ({ ...entry, name: soundNames.get(entry.name) ?? entry.name }));
+            return { ...pool, sounds };
+        };
+        const isEmpty = pool => Boolean(pool.sounds) && pool.sounds.length === 0;
+
+        // Everything checks out, so the sounds can be moved into place
+        for (const { sound, target, stagedPath, duration } of writes) {
+            renameSync(stagedPath, join(guildDir, target));
+            guild.sounds[target] = { ...manifest.sounds[sound], duration, importedAt: new Date().toISOString() };
+            guild.hiddenSounds = guild.hiddenSounds.filter(hidden => hidden !== target);
+        }
+
+        // Metadata for sounds the guild already had, such as tags and volume on the shared sounds
+        for (const [sound, info] of Object.entries(manifest.sounds)) {
+            if (soundNames.has(sound) || !existing.has(sound)) continue;
+            if (!guild.sounds[sound] || conflict === 'overwrite') {
+                guild.sounds[sound] = { ...guild.sounds[sound], ...info };
+            }
+        }
+
+        for (const [name, target] of playlistNames) {
+            guild.playlists[target] = { ...manifest.playlists[name], ...follow(manifest.playlists[name]) };
+            summary.playlists++;
+        }
+
+        // Mappings for members always come along; channels and roles only when this guild has them
+        const exists = { userSounds: () => true, channelSounds: id => channelIds.includes(id), roleSounds: id => roleIds.includes(id) };
+        for (const key of MAPPING_KEYS) {
+            for (const [id, events] of Object.entries(manifest[key])) {
+                if (!exists[key](id)) {
+                    summary.dropped++;
+                    continue;
+                }
+                for (const [event, imported] of Object.entries(events)) {
+                    const pool = follow(imported);
+                    if (isEmpty(pool)) {
+                        summary.dropped++;
+                        continue;
+                    }
+                    if (guild[key][id]?.[event] && conflict !== 'overwrite') continue;
+                    guild[key][id] = { ...guild[key][id], [event]: pool };
+                    summary.mappings++;
+                }
+            }
+        }
+        for (const [event, imported] of Object.entries(manifest.defaultSounds)) {
+            const pool = follow(imported);
+            if (isEmpty(pool)) {
+                summary.dropped++;
+                continue;
+            }
+            if (guild.defaultSounds[event] && conflict !== 'overwrite') continue;
+            guild.defaultSounds[event] = pool;
+            summary.mappings++;
+        }
+
+        // Rules are added after the existing ones, skipping any that are already there
+        const existingRules = new Set(guild.rules.map(({ event, conditions, pool }) => JSON.stringify({ event, conditions, pool })));
+        for (const { event, conditions, pool: imported } of manifest.rules) {
+            const pool = follow(imported);
+            if ((conditions.channelId && !channelIds.includes(conditions.channelId)) ||
+                (conditions.roleId && !roleIds.includes(conditions.roleId)) || isEmpty(pool)) {
+                summary.dropped++;
+                continue;
+            }
+            if (existingRules.has(JSON.stringify({ event, conditions, pool }))) continue;
+            addRule(guild, { event, conditions, pool });
+            summary.rules++;
+        }
+
+        if (!storage.saveGuild(guildId)) {
+            throw new Error(`Could not save imported data for guild ${guildId}`);
+        }
+        log.info(`Imported ${summary.added.length + summary.renamed.length + summary.overwritten.length} sounds, ` +
+            `${summary.mappings} mappings, ${summary.playlists} playlists and ${summary.rules} rules into guild ${guildId}`);
+        return summary;
+    } finally {
+        rmSync(stagingDir, { recursive: true, force: true });
+    }
+}
+
+// One message describing an import summary
+function describeImport(summary) {
+    const lines = [`Imported ${summary.added.length} new sounds, ${summary.mappings} mappings, ${summary.playlists} playlists and ${summary.rules} rules.`];
+    if (summary.renamed.length > 0) {
+        lines.push(`Renamed: ${summary.renamed.map(([from, to]) => `${from} → ${to}`).join(', ')}`);
+    }
+    if (summary.overwritten.length > 0) {
+        lines.push(`Replaced: ${summary.overwritten.join(', ')}`);
+    }
+    if (summary.skipped.length > 0) {
+        lines.push(`Kept the existing: ${summary.skipped.join(', ')}`);
+    }
+    if (summary.invalid.length > 0) {
+        lines.push(`Not valid sounds, left out: ${summary.invalid.join(', ')}`);
+    }
+    if (summary.dropped > 0) {
+        lines.push(`Left out ${summary.dropped} mappings and rules for channels, roles or sounds this server does not have.`);
+    }
+    return lines.join('\n').slice(0, 2000);
+}
+
+module.exports = {
+    MAX_IMPORT_BYTES,
+    CONFLICT_MODES,
+    ImportError,
+    exportGuild,
+    importGuild,
+    describeImport
+};
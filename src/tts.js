@@ -0,0 +1,120 @@
+const { spawn } = require('child_process');
+const { createHash } = require('crypto');
+const { existsSync, mkdirSync, renameSync, rmSync } = require('fs');
+const { join } = require('path');
+
+// Pool entries whose name starts with this are spoken text rather than sound files
+const TTS_PREFIX = 'tts:';
+
+// Longest announcement text accepted, before placeholders are filled in
+const MAX_TTS_LENGTH = 200;
+
+// How long a single render may take before it is abandoned
+const RENDER_TIMEOUT = 15_000;
+
+function isTtsSound(name) {
+    return name.startsWith(TTS_PREFIX);
+}
+
+function toTtsSound(text) {
+    return `${TTS_PREFIX}${text.trim()}`;
+}
+
+function getTtsText(name) {
+    return name.slice(TTS_PREFIX.length);
+}
+
+// Fill in {user}, {channel} and {server}. Unknown placeholders are left as typed.
+function fillTemplate(text, values) {
+    return text.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+}
+
+// Speak text with a local engine and keep the result on disk, one file per unique text.
+// engine is 'espeak' (espeak-ng, voice is a language like "en-us") or 'piper' (voice is a model file).
+function createTtsEngine({ cacheDir, engine = 'espeak', voice, log }) {
+    const rendering = new Map();
+
+    // Command line for the engine, writing a wav file to outputPath
+    function getCommand(text, outputPath) {
+        if (engine === 'piper') {
+            return {
+                command: process.env.PIPER_PATH || 'piper',
+                args: ['--model', voice, '--output_file', outputPath],
+                input: text
+            };
+        }
+        // The text goes in on stdin so members cannot slip options such as -f into the arguments
+        return {
+            command: process.env.ESPEAK_PATH || 'espeak-ng',
+            args: [...(voice ? ['-v', voice] : []), '-w', outputPath, '--stdin'],
+            input: text
+        };
+    }
+
+    // Run the engine and resolve once the file has been written
+    function runEngine(text, outputPath) {
+        const { command, args, input } = getCommand(text, outputPath);
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, { timeout: RENDER_TIMEOUT });
+            let stderr = '';
+
+            child.stderr.on('data', chunk => {
+                stderr += chunk;
+            });
+            child.on('error', reject);
+            child.on('close', code => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`${command} exited with code ${code}:\n${stderr.slice(-500)}`));
+                }
+            });
+            child.stdin.end(input ?? undefined);
+        });
+    }
+
+    function getCachePath(text) {
+        const hash = createHash('sha1').update(`${engine}\n${voice ?? ''}\n${text}`).digest('hex');
+        return join(cacheDir, `${hash}.wav`);
+    }
+
+    // Path to the spoken text, rendering it first if it is not cached yet
+    async function render(text) {
+        const filePath = getCachePath(text);
+        if (existsSync(filePath)) {
+            log.debug(`Using cached speech for "${text}"`);
+            return filePath;
+        }
+
+        // Several members joining at once should share a single render
+        if (!rendering.has(filePath)) {
+            const tmpPath = `${filePath}.tmp.wav`;
+            const job = (async () => {
+                mkdirSync(cacheDir, { recursive: true });
+                log.debug(`Rendering speech with ${engine}: "${text}"`);
+                try {
+                    await runEngine(text, tmpPath);
+                    renameSync(tmpPath, filePath);
+                } catch (error) {
+                    rmSync(tmpPath, { force: true });
+                    throw error;
+                }
+                return filePath;
+            })();
+            rendering.set(filePath, job);
+            job.finally(() => rendering.delete(filePath)).catch(() => {});
+        }
+        return rendering.get(filePath);
+    }
+
+    return { render };
+}
+
+module.exports = {
+    MAX_TTS_LENGTH,
+    isTtsSound,
+    toTtsSound,
+    getTtsText,
+    fillTemplate,
+    createTtsEngine
+};
@@ -0,0 +1,177 @@
+const { existsSync } = require('fs');
+const { getPlaybackVolume } = require('./volume');
+const { isTtsSound, getTtsText, fillTemplate } = require('./tts');
+const { DEFAULT_VOICE_EVENTS, DEFAULT_SPEAKING, DEFAULT_PRESENCE } = require('./settings');
+
+// Work out whether a voice state change is a join, a move or a leave.
+// Mute, deafen and streaming changes keep the channel and are none of them.
+function getVoiceEvent(oldState, newState) {
+    if (!oldState.channelId && newState.channelId) return 'join';
+    if (oldState.channelId && !newState.channelId) return 'leave';
+    if (oldState.channelId !== newState.channelId) return 'move';
+    return null;
+}
+
+// Record a join in the channel, returning whether it is the first one today
+function markChannelJoin(guildId, channelId, now, context) {
+    const { storage } = context;
+    const guild = storage.getGuild(guildId);
+    const today = `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()}`;
+    if (guild.firstJoins[channelId] === today) return false;
+
+    guild.firstJoins[channelId] = today;
+    storage.saveGuild(guildId);
+    return true;
+}
+
+// Queue the sound for a member joining, moving or leaving a voice channel
+async function playEventSound(event, oldState, newState, context) {
+    const { storage, library, playback, resolver, tts, joinLimiter, log } = context;
+    const guildId = newState.guild.id;
+    const member = newState.member;
+
+    // Leave sounds play in the channel that was left, the others in the channel joined
+    const channel = event === 'leave' ? oldState.channel : newState.channel;
+    log.info(`User ${member.user.tag} ${{ join: 'joined', move: 'moved to', leave: 'left' }[event]} voice channel ${channel.name}`);
+
+    const voiceEvents = { ...DEFAULT_VOICE_EVENTS, ...storage.getGuild(guildId).settings.voiceEvents };
+    if (event === 'move' && !voiceEvents.moves) return;
+
+    // Nobody is left to hear a leave sound in an empty channel
+    if (event === 'leave' && channel.members.filter(other => !other.user.bot).size === 0) return;
+
+    // Get the appropriate sound for this member and channel
+    const now = new Date();
+    const resolved = resolver.resolve({
+        guildId,
+        event,
+        userId: member.id,
+        channelId: channel.id,
+        roleIds: member.roles.cache.sort((a, b) => b.position - a.position).map(role => role.id),
+        memberCount: channel.members.filter(other => !other.user.bot).size,
+        firstToday: event !== 'leave' && markChannelJoin(guildId, channel.id, now, context),
+        now
+    });
+    if (!resolved) {
+        log.debug(`No ${event} sound to play`);
+        return;
+    }
+    const soundFile = resolved.sound;
+
+    // Skip the sound if the member, channel or guild is over its limits
+    const suppressed = joinLimiter.check(
+        { guildId, userId: member.id, channelId: channel.id },
+        storage.getGuild(guildId).settings.joinLimits
+    );
+    if (suppressed) {
+        log.info(`Suppressed ${event} sound for ${member.user.tag} in ${channel.name}: ${suppressed}`);
+        return;
+    }
+    resolver.remember(resolved);
+
+    // Spoken announcements are rendered for this member and channel, or reused from the cache
+    const filePath = isTtsSound(soundFile)
+        ? await tts.render(fillTemplate(getTtsText(soundFile), {
+            user: member.displayName,
+            channel: channel.name,
+            server: newState.guild.name
+        }))
+        : library.getPath(guildId, soundFile);
+    log.debug(`Checking audio file at: ${filePath}`);
+
+    // Verify the file exists
+    if (!existsSync(filePath)) {
+        throw new Error(`Audio file not found at ${filePath}`);
+    }
+
+    const guild = storage.getGuild(guildId);
+    const volume = getPlaybackVolume(guild, soundFile, { userId: member.id });
+    const speaking = { ...DEFAULT_SPEAKING, ...guild.settings.speaking };
+    playback.enqueue(guildId, {
+        name: soundFile,
+        filePath,
+        channel,
+        volume,
+        userId: member.id,
+        trigger: event,
+        speaking: {
+            mode: speaking.mode,
+            maxWait: speaking.maxWait * 1000,
+            duckVolume: speaking.duckVolume / 100
+        }
+    });
+}
+
+// Where and how long the bot stays in voice between sounds, or null when it leaves straight away
+function getPresence(guildId, context) {
+    const { client, storage } = context;
+    const presence = { ...DEFAULT_PRESENCE, ...storage.getGuild(guildId).settings.presence };
+    if (!presence.stay) return null;
+    return {
+        channel: presence.channelId ? client.channels.cache.get(presence.channelId) ?? null : null,
+        idleTimeout: presence.idleTimeout * 60_000
+    };
+}
+
+// Sit in the guild's home channel while people are in it and the bot is not busy elsewhere
+function joinHomeChannel(guild, context) {
+    const { playback, log } = context;
+    const channel = getPresence(guild.id, context)?.channel;
+    if (!channel || playback.getChannelId(guild.id)) return;
+    if (channel.members.filter(member => !member.user.bot).size === 0) return;
+
+    log.info(`Joining home channel ${channel.name} in guild ${guild.id}`);
+    playback.join(guild.id, channel).catch(error => {
+        log.error(`Error joining home channel in guild ${guild.id}:`, error);
+        playback.stop(guild.id);
+    });
+}
+
+// Leave the voice channel once only bots are left in it, whatever emptied it
+function leaveIfAlone(guild, context) {
+    const { playback, log } = context;
+    const channelId = playback.getChannelId(guild.id);
+    if (!channelId) return;
+
+    const channel = guild.channels.cache.get(channelId);
+    const members = channel ? channel.members.filter(member => !member.user.bot) : null;
+    if (!members || members.size === 0) {
+        log.info('Voice channel is empty, disconnecting...');
+        playback.stop(guild.id);
+    }
+}
+
+// Play the sound for a voice state change, then leave or settle in as the channels now allow
+async function handleVoiceStateUpdate(oldState, newState, context) {
+    const { client, storage, metrics } = context;
+    const event = getVoiceEvent(oldState, newState);
+    const member = newState.member;
+
+    // Everything logged from here on says which guild, member and event it is about
+    const log = context.log.child({ guildId: newState.guild.id, userId: member.id, event: event ?? undefined });
+    const scoped = { ...context, log };
+
+    // The bot's own voice state changes never play sounds, and other bots only when the guild opted in
+    const { settings } = storage.getGuild(newState.guild.id);
+    const ignored = member.id === client.user.id ||
+        (member.user.bot && !{ ...DEFAULT_VOICE_EVENTS, ...settings.voiceEvents }.bots);
+
+    if (event && !ignored) {
+        metrics.increment('unrk_voice_events_total', { event });
+        try {
+            await playEventSound(event, oldState, newState, scoped);
+        } catch (error) {
+            log.error('Error in voice state update handler:', error);
+        }
+    }
+
+    leaveIfAlone(newState.guild, scoped);
+    joinHomeChannel(newState.guild, scoped);
+}
+
+module.exports = {
+    getVoiceEvent,
+    getPresence,
+    joinHomeChannel,
+    handleVoiceStateUpdate
+};
@@ -0,0 +1,41 @@
+// Volumes are stored as percentages; 100 plays a sound as it was uploaded
+const DEFAULT_VOLUME = 100;
+const MAX_VOLUME = 200;
+
+// Members can only turn the bot down for their own sounds, never up
+const MAX_USER_VOLUME = 100;
+
+// The levels that apply to a sound: its own default, the guild master volume and,
+// for sounds a member triggered, that member's own setting
+function getVolumeLevels(guild, sound, userId) {
+    return {
+        sound: guild.sounds[sound]?.volume ?? DEFAULT_VOLUME,
+        master: guild.settings.volume ?? DEFAULT_VOLUME,
+        user: (userId && guild.settings.userVolumes?.[userId]) ?? DEFAULT_VOLUME
+    };
+}
+
+// Multiplier to hand to the player. An explicit volume for a single play replaces the sound's default.
+function getPlaybackVolume(guild, sound, { userId, volume } = {}) {
+    const levels = getVolumeLevels(guild, sound, userId);
+    return (volume ?? levels.sound) / 100 * levels.master / 100 * levels.user / 100;
+}
+
+// Store a member's own level, dropping it again when set back to the default
+function setUserVolume(settings, userId, level) {
+    const userVolumes = settings.userVolumes || (settings.userVolumes = {});
+    if (level === DEFAULT_VOLUME) {
+        delete userVolumes[userId];
+    } else {
+        userVolumes[userId] = level;
+    }
+}
+
+module.exports = {
+    DEFAULT_VOLUME,
+    MAX_VOLUME,
+    MAX_USER_VOLUME,
+    getVolumeLevels,
+    getPlaybackVolume,
+    setUserVolume
+};
@@ -0,0 +1,66 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { createAdminServer } = require('../src/admin');
+const { createTestBot, silentLog } = require('./harness');
+
+const MEMBER_ID = '123456789012345678';
+
+let bot;
+let admin;
+let server;
+
+beforeEach(async () => {
+    bot = createTestBot();
+    bot.addMember({ id: MEMBER_ID });
+    admin = createAdminServer({
+        token: 'secret',
+        client: bot.client,
+        storage: bot.storage,
+        library: bot.context.library,
+        playback: bot.playback,
+        referencePath: null,
+        log: silentLog
+    });
+    server = admin.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+});
+
+afterEach(() => {
+    admin.close();
+    bot.cleanup();
+});
+
+function request(method, path, body) {
+    return fetch(`http://127.0.0.1:${server.address().port}/api/guilds/${bot.guild.id}${path}`, {
+        method,
+        headers: { Authorization: 'Bearer secret' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+}
+
+test('mappings can only be set for members, channels and roles in the guild', async () => {
+    const polluting = await request('PUT', '/mappings/user/__proto__', { sound: 'wow.mp3' });
+    assert.strictEqual(polluting.status, 400);
+    assert.strictEqual(Object.prototype.join, undefined);
+
+    const unknown = await request('PUT', '/mappings/user/876543210987654321', { sound: 'wow.mp3' });
+    assert.strictEqual(unknown.status, 404);
+
+    const member = await request('PUT', `/mappings/user/${MEMBER_ID}`, { sound: 'wow.mp3' });
+    assert.strictEqual(member.status, 200);
+    assert.deepStrictEqual(Object.keys(bot.storage.getGuild(bot.guild.id).userSounds), [MEMBER_ID]);
+});
+
+test('malformed escapes in the URL are a bad request', async () => {
+    const response = await request('DELETE', '/sounds/%E0%A4%A');
+    assert.strictEqual(response.status, 400);
+});
+
+test('rule conditions of the wrong type are a bad request', async () => {
+    for (const conditions of [{ from: 9, to: '10:00' }, { roleId: ['1'] }, 'weekends']) {
+        const response = await request('POST', '/rules', { sound: 'wow.mp3', conditions });
+        assert.strictEqual(response.status, 400, JSON.stringify(conditions));
+    }
+    assert.deepStrictEqual(bot.storage.getGuild(bot.guild.id).rules, []);
+});
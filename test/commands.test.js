@@ -0,0 +1,238 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { existsSync } = require('fs');
+const { join } = require('path');
+const { createTestBot, createInteraction, moveMember } = require('./harness');
+
+let bot;
+let lobby;
+let alice;
+
+beforeEach(() => {
+    bot = createTestBot();
+    lobby = bot.addVoiceChannel({ id: 'lobby' });
+    alice = bot.addMember({ id: 'alice' });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+    bot.cleanup();
+});
+
+function run(subcommand, options = {}, extra = {}) {
+    const interaction = createInteraction({ guild: bot.guild, member: alice, subcommand, options, ...extra });
+    return bot.handleInteraction(interaction).then(() => interaction);
+}
+
+test('setsound maps a sound to the member and it plays on their next join', async () => {
+    const interaction = await run('setsound', { type: 'user', sound: 'wow.mp3' });
+
+    assert.match(interaction.replies[0].content, /Join sound set successfully/);
+    assert.deepStrictEqual(bot.storage.getGuild(bot.guild.id).userSounds.alice.join, {
+        sounds: [{ name: 'wow.mp3', weight: 1 }]
+    });
+
+    await bot.handleVoiceStateUpdate(...moveMember(alice, lobby));
+    assert.strictEqual(bot.playback.played[0].name, 'wow.mp3');
+});
+
+test('setsound rejects sounds that are not in the library', async () => {
+    const interaction = await run('setsound', { type: 'user', sound: 'missing.mp3' });
+
+    assert.match(interaction.replies[0].content, /Invalid sound name/);
+    assert.deepStrictEqual(bot.storage.getGuild(bot.guild.id).userSounds, {});
+});
+
+test('setsound for another member needs permission', async () => {
+    const bob = bot.addMember({ id: 'bob' });
+    const interaction = await run('setsound', { type: 'user', sound: 'wow.mp3', user: bob.user });
+
+    assert.match(interaction.replies[0].content, /You don't have permission to do that \(set and clear sounds for other members\)/);
+    assert.deepStrictEqual(bot.storage.getGuild(bot.guild.id).userSounds, {});
+});
+
+test('playlist names that reach Object.prototype are never looked up or created', async () => {
+    for (const name of ['__proto__', 'constructor']) {
+        const schedule = await run('schedule', { playlist: name, start: '10-01', end: '10-31' }, { group: 'playlist', manageGuild: true });
+        assert.match(schedule.replies[0].content, /There is no playlist named/);
+
+        const create = await run('create', { name }, { group: 'playlist', manageGuild: true });
+        assert.match(create.replies[0].content, /Playlist names can only use/);
+    }
+    assert.strictEqual(Object.prototype.schedule, undefined);
+
+    const interaction = await run('setsound', { type: 'user', playlist: 'constructor' });
+    assert.match(interaction.replies[0].content, /There is no playlist named 'constructor'/);
+    assert.deepStrictEqual(bot.storage.getGuild(bot.guild.id).userSounds, {});
+});
+
+test('roles allowed an action may use it without Manage Server', async () => {
+    const moderator = bot.addMember({ id: 'mod', roles: [{ id: 'mods', position: 1 }] });
+    bot.storage.getGuild(bot.guild.id).settings.permissions = { channelsound: ['mods'] };
+    moveMember(moderator, lobby);
+
+    const interaction = createInteraction({
+        guild: bot.guild,
+        member: moderator,
+        subcommand: 'setsound',
+        options: { type: 'channel', sound: 'bruh.mp3' }
+    });
+    await bot.handleInteraction(interaction);
+
+    assert.match(interaction.replies[0].content, /set successfully for <#lobby>/);
+});
+
+test('addsound stores the upload in the guild library', async () => {
+    const interaction = await run('addsound', {
+        sound: { name: 'clip.mp3', contents: 'audio', duration: 2.5 },
+        name: 'my-clip'
+    }, { manageGuild: true });
+
+    assert.match(interaction.replies.at(-1).content, /Sound 'my-clip' added successfully/);
+    assert.ok(bot.context.library.has(bot.guild.id, 'my-clip.mp3'));
+    assert.ok(existsSync(join(bot.soundsDir, bot.guild.id, 'my-clip.mp3')));
+    assert.strictEqual(bot.storage.getGuild(bot.guild.id).sounds['my-clip.mp3'].duration, 2.5);
+});
+
+test('addsound needs the upload permission and refuses duplicate names', async () => {
+    const denied = await run('addsound', { sound: { name: 'clip.mp3' }, name: 'wow' });
+    assert.match(denied.replies[0].content, /permission/);
+
+    const duplicate = await run('addsound', { sound: { name: 'clip.mp3' }, name: 'wow' }, { manageGuild: true });
+    assert.match(duplicate.replies[0].content, /already exists/);
+    assert.strictEqual(bot.ingested.length, 0);
+});
+
+test('random plays a library sound in the member\'s channel', async () => {
+    moveMember(alice, lobby);
+    const interaction = await run('random');
+
+    assert.strictEqual(bot.playback.played.length, 1);
+    assert.strictEqual(bot.playback.played[0].channel, lobby);
+    assert.strictEqual(bot.playback.played[0].trigger, 'random');
+    assert.match(interaction.replies.at(-1).content, /Playing random sound/);
+});
+
+test('random needs the member to be in voice', async () => {
+    const interaction = await run('random');
+
+    assert.match(interaction.replies[0].content, /You need to be in a voice channel/);
+    assert.strictEqual(bot.playback.played.length, 0);
+});
+
+test('autocomplete suggests matching sounds', async () => {
+    const interaction = createInteraction({
+        guild: bot.guild,
+        member: alice,
+        type: 'autocomplete',
+        focused: { name: 'sound', value: 'br' }
+    });
+    await bot.handleInteraction(interaction);
+
+    assert.deepStrictEqual(interaction.replies[0].choices, [{ name: 'bruh.mp3', value: 'bruh.mp3' }]);
+});
+
+test('soundboard buttons play the pressed sound', async () => {
+    moveMember(alice, lobby);
+    const interaction = createInteraction({
+        guild: bot.guild,
+        member: alice,
+        type: 'button',
+        customId: 'unrk-board:play:airhorn.mp3'
+    });
+    await bot.handleInteraction(interaction);
+
+    assert.strictEqual(bot.playback.played[0].name, 'airhorn.mp3');
+    assert.strictEqual(bot.playback.played[0].trigger, 'soundboard');
+});
+
+test('soundboard presses follow the soundboard limits rather than the join cooldown', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-07T12:00:00') });
+    moveMember(alice, lobby);
+    const press = async () => {
+        const interaction = createInteraction({ guild: bot.guild, member: alice, type: 'button', customId: 'unrk-board:play:wow.mp3' });
+        await bot.handleInteraction(interaction);
+        return interaction.replies[0].content;
+    };
+
+    assert.match(await press(), /Playing wow.mp3/);
+    assert.match(await press(), /Not so fast: user cooldown \(3s left\)/);
+    mock.timers.tick(4000);
+    assert.match(await press(), /wow.mp3/);
+
+    const limits = await run('limits', { type: 'soundboard', usercooldown: 10 }, { commandName: 'unrkadmin', manageGuild: true });
+    assert.match(limits.replies[0].content, /\*\*Soundboard limits\*\*\nPer-member cooldown: 10s/);
+    assert.deepStrictEqual(bot.storage.getGuild(bot.guild.id).settings.soundboardLimits, { userCooldown: 10 });
+    assert.strictEqual(bot.storage.getGuild(bot.guild.id).settings.joinLimits, undefined);
+});
+
+test('a member\'s own volume applies to the sounds they play, pick at random or press', async () => {
+    bot.storage.getGuild(bot.guild.id).settings.userVolumes = { alice: 50 };
+    moveMember(alice, lobby);
+
+    await run('play', { sound: 'wow.mp3' });
+    await run('random');
+    await bot.handleInteraction(createInteraction({
+        guild: bot.guild,
+        member: alice,
+        type: 'button',
+        customId: 'unrk-board:play:airhorn.mp3'
+    }));
+
+    assert.deepStrictEqual(bot.playback.played.map(item => item.volume), [0.5, 0.5, 0.5]);
+});
+
+test('play counts are saved in batches rather than on every play', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const saveGuild = mock.method(bot.storage, 'saveGuild');
+    const { library } = bot.context;
+
+    library.recordPlay(bot.guild.id, 'wow.mp3');
+    library.recordPlay(bot.guild.id, 'wow.mp3');
+    assert.strictEqual(saveGuild.mock.callCount(), 0);
+    assert.strictEqual(library.getInfo(bot.guild.id, 'wow.mp3').playCount, 2);
+
+    mock.timers.tick(60_000);
+    assert.strictEqual(saveGuild.mock.callCount(), 1);
+
+    library.recordPlay(bot.guild.id, 'bruh.mp3');
+    library.flushPlayCounts();
+    assert.strictEqual(saveGuild.mock.callCount(), 2);
+    mock.timers.tick(60_000);
+    assert.strictEqual(saveGuild.mock.callCount(), 2);
+});
+
+test('debug attaches the mappings when they would not fit in a message', async () => {
+    const { userSounds } = bot.storage.getGuild(bot.guild.id);
+    for (let index = 0; index < 50; index++) {
+        userSounds[`member${index}`] = { join: { sounds: [{ name: 'wow.mp3', weight: 1 }, { name: 'bruh.mp3', weight: 2 }] } };
+    }
+
+    const interaction = await run('debug', {}, { manageGuild: true });
+    const { content, files } = interaction.replies[0];
+    assert.ok(content.length <= 2000);
+    assert.match(content, /Current sound mappings are attached/);
+    assert.deepStrictEqual(JSON.parse(files[0].attachment.toString()).userSounds, userSounds);
+});
+
+test('read-only subcommands answer without changing anything', async () => {
+    const unrk = [
+        ['listsounds'],
+        ['soundinfo', { sound: 'wow.mp3' }],
+        ['volume', { type: 'me' }],
+        ['stats'],
+        ['debug'],
+        ['list', {}, 'playlist'],
+        ['list', {}, 'rule']
+    ];
+    for (const [subcommand, options = {}, group = null] of unrk) {
+        const interaction = await run(subcommand, options, { group, manageGuild: true });
+        assert.ok(interaction.replies.length > 0, `/unrk ${group ?? ''} ${subcommand} replied`);
+    }
+
+    for (const subcommand of ['permissions', 'limits', 'voiceevents', 'stay', 'speaking']) {
+        const interaction = await run(subcommand, {}, { commandName: 'unrkadmin', manageGuild: true });
+        assert.ok(interaction.replies.length > 0, `/unrkadmin ${subcommand} replied`);
+    }
+});
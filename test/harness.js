@@ -0,0 +1,288 @@
+// Fake Discord objects for exercising the bot offline, without a token or a voice connection
+const { EventEmitter } = require('events');
+const { mkdtempSync, mkdirSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { Collection } = require('discord.js');
+const { createStorage } = require('../src/storage');
+const { createBot } = require('../src/bot');
+const { IngestError, detectFormat } = require('../src/ingest');
+
+// Swallow log output so test runs stay readable
+const silentLog = {
+    info: () => {},
+    error: () => {},
+    debug: () => {},
+    warn: () => {},
+    child: () => silentLog
+};
+
+function createTempDir() {
+    return mkdtempSync(join(tmpdir(), 'unrk-test-'));
+}
+
+// Write empty stand-ins for sound files; only their names and existence matter offline
+function writeSounds(dir, sounds) {
+    mkdirSync(dir, { recursive: true });
+    for (const sound of sounds) {
+        writeFileSync(join(dir, sound), '');
+    }
+}
+
+function createUser({ id, tag = `user${id}`, bot = false }) {
+    return { id, tag, bot, toString: () => `<@${id}>` };
+}
+
+function createGuild({ id = 'guild1', name = 'Test server' } = {}) {
+    const members = new Collection();
+    return {
+        id,
+        name,
+        channels: { cache: new Collection() },
+        members: {
+            cache: members,
+            fetch: async memberId => members.get(memberId) ?? Promise.reject(new Error('Unknown Member'))
+        },
+        roles: { cache: new Collection() }
+    };
+}
+
+function createVoiceChannel(guild, { id, name = `channel${id}` }) {
+    const channel = { id, name, guild, members: new Collection(), toString: () => `<#${id}>` };
+    guild.channels.cache.set(id, channel);
+    return channel;
+}
+
+// A member with roles given as { id, position }, initially not in voice
+function createMember(guild, { id, tag, bot = false, displayName, roles = [] }) {
+    const user = createUser({ id, tag, bot });
+    const member = {
+        id,
+        user,
+        guild,
+        displayName: displayName ?? user.tag,
+        roles: { cache: new Collection(roles.map(role => [role.id, role])) },
+        voice: { channel: null }
+    };
+    guild.members.cache.set(id, member);
+    return member;
+}
+
+function voiceState(member, channel) {
+    return { guild: member.guild, member, channel, channelId: channel?.id ?? null };
+}
+
+// Move a member into a channel, or out of voice with null, returning the old and new voice states
+function moveMember(member, channel) {
+    const oldState = voiceState(member, member.voice.channel);
+    member.voice.channel?.members.delete(member.id);
+    channel?.members.set(member.id, member);
+    member.voice.channel = channel;
+    return [oldState, voiceState(member, channel)];
+}
+
+// An option getter that returns null for options the test did not set, like discord.js
+function optionGetter(options) {
+    return name => options[name] ?? null;
+}
+
+// A slash command, autocomplete or component interaction that records what the bot replied
+function createInteraction({
+    guild,
+    member,
+    commandName = 'unrk',
+    group = null,
+    subcommand,
+    options = {},
+    manageGuild = false,
+    type = 'command',
+    customId,
+    values = [],
+    focused
+}) {
+    const replies = [];
+    const get = optionGetter(options);
+    const interaction = {
+        guild,
+        guildId: guild.id,
+        channelId: 'text1',
+        member,
+        user: member.user,
+        commandName,
+        customId,
+        values,
+        replies,
+        deferred: false,
+        replied: false,
+        memberPermissions: { has: () => manageGuild },
+        isCommand: () => type === 'command',
+        isAutocomplete: () => type === 'autocomplete',
+        isButton: () => type === 'button',
+        isStringSelectMenu: () => type === 'select',
+        options: {
+            getSubcommandGroup: () => group,
+            getSubcommand: () => subcommand,
+            getFocused: () => focused,
+            getString: get,
+            getInteger: get,
+            getNumber: get,
+            getBoolean: get,
+            getUser: get,
+            getChannel: get,
+            getRole: get,
+            getAttachment: get
+        },
+        async reply(response) {
+            interaction.replied = true;
+            replies.push({ type: 'reply', ...response });
+        },
+        async deferReply(response) {
+            interaction.deferred = true;
+            replies.push({ type: 'deferReply', ...response });
+        },
+        async editReply(response) {
+            replies.push({ type: 'editReply', ...response });
+        },
+        async followUp(response) {
+            replies.push({ type: 'followUp', ...response });
+        },
+        async update(response) {
+            replies.push({ type: 'update', ...response });
+        },
+        async respond(choices) {
+            replies.push({ type: 'respond', choices });
+        }
+    };
+    return interaction;
+}
+
+// Stand-in for the playback manager that queues nothing and remembers every enqueued item
+function createFakePlayback() {
+    const queues = new Map();
+    const channels = new Map();
+    const played = [];
+    return {
+        played,
+        enqueue(guildId, item) {
+            played.push({ guildId, ...item });
+            const queue = queues.get(guildId) || [];
+            queue.push(item);
+            queues.set(guildId, queue);
+            channels.set(guildId, item.channel.id);
+            return queue.length - 1;
+        },
+        async join(guildId, channel) {
+            channels.set(guildId, channel.id);
+        },
+        stop(guildId) {
+            queues.delete(guildId);
+            return channels.delete(guildId);
+        },
+        getChannelId(guildId) {
+            return channels.get(guildId) ?? null;
+        },
+        isPlaying(guildId) {
+            return (queues.get(guildId) || []).length > 0;
+        }
+    };
+}
+
+// A bot wired to a fake client, fake playback, fake TTS and fake ingest, with its data in a temp dir
+function createTestBot({ sounds = ['airhorn.mp3', 'bruh.mp3', 'wow.mp3'] } = {}) {
+    const dir = createTempDir();
+    const soundsDir = join(dir, 'sounds');
+    writeSounds(soundsDir, sounds);
+
+    const storage = createStorage({ backend: 'json', path: join(dir, 'unrk.json'), log: silentLog });
+
+    const client = new EventEmitter();
+    client.user = createUser({ id: 'bot', tag: 'Unrk#0000', bot: true });
+    client.guilds = { cache: new Collection() };
+    client.channels = { cache: new Collection() };
+
+    const guild = createGuild();
+    client.guilds.cache.set(guild.id, guild);
+
+    const playback = createFakePlayback();
+
+    // Spoken text renders to a file named after it
+    const tts = {
+        rendered: [],
+        async render(text) {
+            tts.rendered.push(text);
+            const filePath = join(dir, 'tts.wav');
+            writeFileSync(filePath, '');
+            return filePath;
+        }
+    };
+
+    // Uploads are copied as they are, skipping ffmpeg
+    const ingested = [];
+    async function ingestSound(attachment, { filePath }) {
+        ingested.push({ attachment, filePath });
+        mkdirSync(join(filePath, '..'), { recursive: true });
+        writeFileSync(filePath, attachment.contents ?? '');
+        return { format: 'mp3', duration: attachment.duration ?? 1 };
+    }
+
+    // Received audio is copied the same way, refusing anything that is not a known audio format
+    async function ingestBuffer(buffer, { filePath }) {
+        const format = buffer.length >= 12 ? detectFormat(buffer) : null;
+        if (!format) {
+            throw new IngestError('Unsupported file type.');
+        }
+        mkdirSync(join(filePath, '..'), { recursive: true });
+        writeFileSync(filePath, buffer);
+        return { format, duration: 1 };
+    }
+
+    // Attachments hand over their contents without a request
+    async function download(attachment) {
+        return Buffer.from(attachment.contents ?? '');
+    }
+
+    const bot = createBot({ client, storage, soundsDir, tts, token: 'test', log: silentLog, playback, ingestSound, ingestBuffer, download });
+
+    // Add a voice channel to the guild and the client's channel cache
+    function addVoiceChannel(options) {
+        const channel = createVoiceChannel(guild, options);
+        client.channels.cache.set(channel.id, channel);
+        return channel;
+    }
+
+    // Add another guild the bot is in
+    function addGuild(options) {
+        const other = createGuild(options);
+        client.guilds.cache.set(other.id, other);
+        return other;
+    }
+
+    return {
+        ...bot,
+        dir,
+        soundsDir,
+        storage,
+        client,
+        guild,
+        playback,
+        tts,
+        ingested,
+        addVoiceChannel,
+        addGuild,
+        addMember: options => createMember(guild, options),
+        cleanup: () => rmSync(dir, { recursive: true, force: true })
+    };
+}
+
+module.exports = {
+    silentLog,
+    createTempDir,
+    writeSounds,
+    createGuild,
+    createVoiceChannel,
+    createMember,
+    moveMember,
+    createInteraction,
+    createFakePlayback,
+    createTestBot
+};
@@ -0,0 +1,64 @@
+const { test, mock, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { readFileSync, writeFileSync, chmodSync, mkdtempSync, rmSync } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+
+// Stand-in for ffmpeg that records its arguments, then reports a 10 minute decode or hangs
+const FAKE_FFMPEG = `#!/usr/bin/env node
+require('fs').writeFileSync(process.env.FAKE_FFMPEG_ARGS, JSON.stringify(process.argv.slice(2)));
+if (process.env.FAKE_FFMPEG_HANG) {
+    setTimeout(() => {}, 600000);
+} else {
+    process.stderr.write('size=N/A time=00:10:01.00 bitrate=N/A\\n');
+}
+`;
+
+const dir = mkdtempSync(join(tmpdir(), 'unrk-test-'));
+const argsPath = join(dir, 'args.json');
+writeFileSync(join(dir, 'ffmpeg'), FAKE_FFMPEG);
+chmodSync(join(dir, 'ffmpeg'), 0o755);
+process.env.FFMPEG_PATH = join(dir, 'ffmpeg');
+process.env.FAKE_FFMPEG_ARGS = argsPath;
+
+// Loaded after FFMPEG_PATH is set, since the path is fixed when the module loads
+const { IngestError, analyze, ingestBuffer } = require('../src/ingest');
+const { silentLog } = require('./harness');
+
+// Enough of an MP3 for format detection
+const MP3 = Buffer.from('ID3\u0004\u0000\u0000\u0000\u0000\u0000\u0000fake audio');
+
+before(() => {
+    writeFileSync(join(dir, 'input.mp3'), MP3);
+});
+
+afterEach(() => {
+    delete process.env.FAKE_FFMPEG_HANG;
+    mock.timers.reset();
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('analysis stops decoding just past the longest accepted source', async () => {
+    const { duration } = await analyze(join(dir, 'input.mp3'));
+    const args = JSON.parse(readFileSync(argsPath, 'utf8'));
+
+    assert.strictEqual(duration, 601);
+    assert.deepStrictEqual(args.slice(args.indexOf('-t'), args.indexOf('-t') + 3), ['-t', '601', '-i']);
+});
+
+test('uploads longer than the source limit are refused', async () => {
+    await assert.rejects(
+        ingestBuffer(MP3, { filePath: join(dir, 'out.mp3'), referencePath: join(dir, 'missing.mp3'), log: silentLog }),
+        error => error instanceof IngestError && /too long to process/.test(error.message)
+    );
+});
+
+test('ffmpeg runs that hang are killed and reported as an ingest error', async () => {
+    process.env.FAKE_FFMPEG_HANG = '1';
+    mock.timers.enable({ apis: ['setTimeout'] });
+
+    const analysis = analyze(join(dir, 'input.mp3'));
+    mock.timers.tick(60_000);
+    await assert.rejects(analysis, error => error instanceof IngestError && /took more than 60 seconds/.test(error.message));
+});
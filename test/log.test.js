@@ -0,0 +1,82 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { readFileSync, existsSync, rmSync } = require('fs');
+const { join } = require('path');
+const { createLogger } = require('../src/log');
+const { createTempDir } = require('./harness');
+
+let dir;
+let lines;
+
+beforeEach(() => {
+    dir = createTempDir();
+    lines = [];
+    for (const method of ['log', 'error', 'warn', 'debug']) {
+        mock.method(console, method, line => lines.push(line));
+    }
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test('entries below the configured level are dropped', () => {
+    const log = createLogger({ level: 'warn' });
+    log.debug('noisy');
+    log.info('chatty');
+    log.warn('careful');
+    log.error('broken');
+
+    assert.strictEqual(lines.length, 2);
+    assert.match(lines[0], /WARN: careful$/);
+    assert.match(lines[1], /ERROR: broken$/);
+});
+
+test('unknown levels and formats are refused', () => {
+    assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level 'verbose'/);
+    assert.throws(() => createLogger({ format: 'xml' }), /Unknown log format 'xml'/);
+});
+
+test('json output carries the context of child loggers and errors', () => {
+    const log = createLogger({ format: 'json' }).child({ guildId: 'guild1', command: 'unrk play' });
+    log.child({ userId: 'alice' }).error('Could not play', new Error('boom'), { sound: 'wow.mp3' });
+
+    const entry = JSON.parse(lines[0]);
+    assert.strictEqual(entry.level, 'error');
+    assert.strictEqual(entry.message, 'Could not play');
+    assert.strictEqual(entry.guildId, 'guild1');
+    assert.strictEqual(entry.userId, 'alice');
+    assert.strictEqual(entry.command, 'unrk play');
+    assert.strictEqual(entry.sound, 'wow.mp3');
+    assert.strictEqual(entry.error.message, 'boom');
+});
+
+test('text output appends the context after the message', () => {
+    createLogger().child({ guildId: 'guild1', userId: null }).info('Joined');
+
+    assert.match(lines[0], /INFO: Joined guildId=guild1$/);
+});
+
+test('every error is reported, whatever the level', () => {
+    let errors = 0;
+    const log = createLogger({ level: 'error', onError: () => errors++ });
+    log.error('one');
+    log.child({ guildId: 'guild1' }).error('two');
+
+    assert.strictEqual(errors, 2);
+});
+
+test('log files are rotated once they grow past the limit', () => {
+    const file = join(dir, 'logs', 'unrk.log');
+    const log = createLogger({ file, maxSize: 100, maxFiles: 2 });
+    for (let index = 0; index < 10; index++) {
+        log.info(`entry ${index}`);
+    }
+
+    assert.match(readFileSync(file, 'utf8'), /entry 9/);
+    assert.ok(existsSync(`${file}.1`));
+    assert.ok(existsSync(`${file}.2`));
+    assert.ok(!existsSync(`${file}.3`));
+    assert.ok(readFileSync(file, 'utf8').length <= 100);
+});
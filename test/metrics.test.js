@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../src/metrics');
+const { createTestBot, moveMember } = require('./harness');
+
+test('counters render in the Prometheus text format', () => {
+    const metrics = createMetrics();
+    metrics.increment('unrk_plays_total', { trigger: 'join' });
+    metrics.increment('unrk_plays_total', { trigger: 'join' });
+    metrics.increment('unrk_plays_total', { trigger: 'say "hi"' });
+
+    const text = metrics.render({ unrk_guilds: { help: 'Servers the bot is in', value: 3 } });
+    assert.match(text, /^# TYPE unrk_plays_total counter$/m);
+    assert.match(text, /^unrk_plays_total\{trigger="join"\} 2$/m);
+    assert.match(text, /^unrk_plays_total\{trigger="say \\"hi\\""\} 1$/m);
+    assert.match(text, /^unrk_errors_total 0$/m);
+    assert.match(text, /^# TYPE unrk_guilds gauge\nunrk_guilds 3$/m);
+});
+
+test('unknown counters are refused', () => {
+    assert.throws(() => createMetrics().increment('unrk_typo_total'), /Unknown metric/);
+});
+
+test('voice events are counted as the bot sees them', async () => {
+    const bot = createTestBot();
+    try {
+        const lobby = bot.addVoiceChannel({ id: 'lobby' });
+        const member = bot.addMember({ id: 'alice' });
+
+        await bot.handleVoiceStateUpdate(...moveMember(member, lobby));
+        await bot.handleVoiceStateUpdate(...moveMember(member, null));
+
+        const { metrics } = bot.context;
+        assert.strictEqual(metrics.get('unrk_voice_events_total', { event: 'join' }), 1);
+        assert.strictEqual(metrics.get('unrk_voice_events_total', { event: 'leave' }), 1);
+    } finally {
+        bot.cleanup();
+    }
+});
@@ -0,0 +1,89 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { join } = require('path');
+const { rmSync } = require('fs');
+const { createStorage } = require('../src/storage');
+const { createSoundLibrary } = require('../src/library');
+const { createSoundResolver } = require('../src/resolver');
+const { createPool } = require('../src/pools');
+const { addRule } = require('../src/rules');
+const { silentLog, createTempDir, writeSounds } = require('./harness');
+
+let dir;
+let storage;
+let resolver;
+let guild;
+
+beforeEach(() => {
+    dir = createTempDir();
+    const soundsDir = join(dir, 'sounds');
+    writeSounds(soundsDir, ['airhorn.mp3', 'bruh.mp3', 'wow.mp3', 'yay.mp3']);
+    storage = createStorage({ backend: 'json', path: join(dir, 'unrk.json'), log: silentLog });
+    const library = createSoundLibrary({ soundsDir, storage, log: silentLog });
+    resolver = createSoundResolver({ storage, library, log: silentLog });
+    guild = storage.getGuild('guild1');
+});
+
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+function resolve(context = {}) {
+    return resolver.resolve({ guildId: 'guild1', event: 'join', userId: 'alice', channelId: 'lobby', ...context });
+}
+
+test('user sounds win over channel, role and default sounds', () => {
+    guild.defaultSounds.join = createPool('airhorn.mp3');
+    guild.roleSounds.mods = { join: createPool('bruh.mp3') };
+    assert.deepStrictEqual(resolve({ roleIds: ['mods'] }), { sound: 'bruh.mp3', source: 'role', key: 'role:mods:join' });
+
+    guild.channelSounds.lobby = { join: createPool('wow.mp3') };
+    assert.deepStrictEqual(resolve({ roleIds: ['mods'] }), { sound: 'wow.mp3', source: 'channel', key: 'channel:lobby:join' });
+
+    guild.userSounds.alice = { join: createPool('yay.mp3') };
+    assert.deepStrictEqual(resolve({ roleIds: ['mods'] }), { sound: 'yay.mp3', source: 'user', key: 'user:alice:join' });
+});
+
+test('the highest role with a sound is used', () => {
+    guild.roleSounds.mods = { join: createPool('bruh.mp3') };
+    guild.roleSounds.admins = { join: createPool('wow.mp3') };
+
+    assert.strictEqual(resolve({ roleIds: ['admins', 'mods'] }).sound, 'wow.mp3');
+});
+
+test('sounds that were removed from the library are skipped', () => {
+    guild.userSounds.alice = { join: createPool('deleted.mp3') };
+    guild.defaultSounds.join = createPool('airhorn.mp3');
+
+    assert.deepStrictEqual(resolve(), { sound: 'airhorn.mp3', source: 'default', key: 'default:guild:join' });
+});
+
+test('matching rules come before every mapping', () => {
+    guild.userSounds.alice = { join: createPool('yay.mp3') };
+    addRule(guild, { event: 'join', conditions: { minMembers: 3 }, pool: createPool('bruh.mp3') });
+
+    assert.strictEqual(resolve({ memberCount: 2 }).sound, 'yay.mp3');
+    assert.deepStrictEqual(resolve({ memberCount: 3 }), { sound: 'bruh.mp3', source: 'rule', key: 'rule:1' });
+});
+
+test('only remembered picks count toward no-repeat', () => {
+    guild.userSounds.alice = { join: { sounds: [{ name: 'airhorn.mp3', weight: 1 }, { name: 'bruh.mp3', weight: 1 }], noRepeat: 1 } };
+    const played = resolve();
+    resolver.remember(played);
+
+    // Picks that never played, say because a cooldown suppressed them, leave the history alone
+    for (let i = 0; i < 10; i++) {
+        assert.notStrictEqual(resolve().sound, played.sound);
+    }
+});
+
+test('moves fall back to join sounds', () => {
+    guild.userSounds.alice = { join: createPool('yay.mp3') };
+    assert.strictEqual(resolve({ event: 'move' }).sound, 'yay.mp3');
+
+    guild.userSounds.alice.move = createPool('wow.mp3');
+    assert.strictEqual(resolve({ event: 'move' }).sound, 'wow.mp3');
+});
+
+test('joins without a mapping get a random sound, leaves get nothing', () => {
+    assert.strictEqual(resolve().source, 'random');
+    assert.strictEqual(resolve({ event: 'leave' }), null);
+});
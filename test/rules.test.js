@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseDays, matchesRule, addRule, describeRule } = require('../src/rules');
+const { parseTime, isInWindow, createJoinLimiter } = require('../src/cooldowns');
+const { createPool } = require('../src/pools');
+
+// Wednesday 2026-01-07, 22:30 local time
+const wednesdayNight = new Date(2026, 0, 7, 22, 30);
+
+function context(overrides = {}) {
+    return { event: 'join', roleIds: [], channelId: 'lobby', memberCount: 1, firstToday: false, now: wednesdayNight, ...overrides };
+}
+
+test('parseDays understands names, weekdays and weekends', () => {
+    assert.deepStrictEqual(parseDays('mon,Wednesday'), [1, 3]);
+    assert.deepStrictEqual(parseDays('weekends'), [0, 6]);
+    assert.strictEqual(parseDays('someday'), null);
+    assert.strictEqual(parseDays(''), null);
+});
+
+test('every condition of a rule has to hold', () => {
+    const rule = { event: 'join', conditions: { roleId: 'mods', days: [3], from: '22:00', to: '02:00' }, pool: createPool('wow.mp3') };
+
+    assert.strictEqual(matchesRule(rule, context({ roleIds: ['mods'] })), true);
+    assert.strictEqual(matchesRule(rule, context()), false);
+    assert.strictEqual(matchesRule(rule, context({ roleIds: ['mods'], now: new Date(2026, 0, 8, 22, 30) })), false);
+    assert.strictEqual(matchesRule(rule, context({ roleIds: ['mods'], event: 'leave' })), false);
+});
+
+test('join rules also apply to moves', () => {
+    const rule = { event: 'join', conditions: { firstToday: true }, pool: createPool('wow.mp3') };
+
+    assert.strictEqual(matchesRule(rule, context({ event: 'move', firstToday: true })), true);
+    assert.strictEqual(matchesRule(rule, context({ event: 'move' })), false);
+});
+
+test('rules get increasing IDs and a readable summary', () => {
+    const guild = { rules: [] };
+    addRule(guild, { event: 'join', conditions: {}, pool: createPool('wow.mp3') });
+    const rule = addRule(guild, { event: 'leave', conditions: { minMembers: 2 }, pool: createPool('bruh.mp3') });
+
+    assert.strictEqual(rule.id, 2);
+    assert.match(describeRule(rule), /^#2 on leave, at least 2 in the channel: /);
+});
+
+test('time windows can wrap past midnight', () => {
+    assert.strictEqual(parseTime('25:00'), null);
+    assert.strictEqual(isInWindow(wednesdayNight, '22:00', '02:00'), true);
+    assert.strictEqual(isInWindow(wednesdayNight, '08:00', '22:00'), false);
+});
+
+test('the join limiter applies user and channel cooldowns', () => {
+    const limiter = createJoinLimiter();
+    const limits = { userCooldown: 30, channelCooldown: 5 };
+    const at = seconds => new Date(wednesdayNight.getTime() + seconds * 1000);
+
+    assert.strictEqual(limiter.check({ guildId: 'g', userId: 'alice', channelId: 'lobby' }, limits, at(0)), null);
+    assert.match(limiter.check({ guildId: 'g', userId: 'bob', channelId: 'lobby' }, limits, at(1)), /channel cooldown/);
+    assert.match(limiter.check({ guildId: 'g', userId: 'alice', channelId: 'gaming' }, limits, at(10)), /user cooldown/);
+    assert.strictEqual(limiter.check({ guildId: 'g', userId: 'alice', channelId: 'lobby' }, limits, at(31)), null);
+});
@@ -0,0 +1,86 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { writeFileSync, readFileSync, appendFileSync, rmSync } = require('fs');
+const { join } = require('path');
+const { createStorage, SCHEMA_VERSION } = require('../src/storage');
+const { silentLog, createTempDir } = require('./harness');
+
+let dir;
+
+beforeEach(() => {
+    dir = createTempDir();
+});
+
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+function open() {
+    return createStorage({
+        backend: 'json',
+        path: join(dir, 'unrk.json'),
+        legacyPath: join(dir, 'soundMappings.json'),
+        log: silentLog
+    });
+}
+
+test('new guilds get every field filled in', () => {
+    const guild = open().getGuild('guild1');
+
+    assert.deepStrictEqual(guild.userSounds, {});
+    assert.deepStrictEqual(guild.rules, []);
+    assert.deepStrictEqual(guild.hiddenSounds, []);
+});
+
+test('saved guilds survive a restart', () => {
+    const storage = open();
+    storage.getGuild('guild1').settings.volume = 50;
+    assert.strictEqual(storage.saveGuild('guild1'), true);
+
+    assert.strictEqual(open().getGuild('guild1').settings.volume, 50);
+});
+
+test('soundMappings.json is migrated and handed to the guilds it belongs to', () => {
+    writeFileSync(join(dir, 'soundMappings.json'), JSON.stringify({
+        channelSounds: { lobby: 'wow.mp3', elsewhere: 'bruh.mp3' },
+        userSounds: { alice: 'airhorn.mp3' }
+    }));
+
+    const storage = open();
+    assert.strictEqual(JSON.parse(readFileSync(join(dir, 'unrk.json'), 'utf8')).version, SCHEMA_VERSION);
+
+    storage.adoptLegacyMappings([{ id: 'guild1', channelIds: ['lobby'] }]);
+    const guild = storage.getGuild('guild1');
+    assert.deepStrictEqual(guild.channelSounds, { lobby: { join: { sounds: [{ name: 'wow.mp3', weight: 1 }] } } });
+    assert.deepStrictEqual(guild.userSounds, { alice: { join: { sounds: [{ name: 'airhorn.mp3', weight: 1 }] } } });
+    assert.strictEqual(JSON.parse(readFileSync(join(dir, 'unrk.json'), 'utf8')).legacy, undefined);
+});
+
+test('data from a newer version of the bot is refused', () => {
+    writeFileSync(join(dir, 'unrk.json'), JSON.stringify({ version: SCHEMA_VERSION + 1, guilds: {} }));
+
+    assert.throws(open, /only supports up to/);
+});
+
+test('the play log is kept per guild, oldest first', () => {
+    const storage = open();
+    const play = { channelId: 'lobby', userId: 'alice', trigger: 'join' };
+    storage.recordPlay({ ...play, guildId: 'guild1', sound: 'wow.mp3', playedAt: '2026-01-01T10:00:00.000Z' });
+    storage.recordPlay({ ...play, guildId: 'guild2', sound: 'bruh.mp3', playedAt: '2026-01-01T11:00:00.000Z' });
+    storage.recordPlay({ ...play, guildId: 'guild1', sound: 'airhorn.mp3', playedAt: '2026-01-01T12:00:00.000Z' });
+
+    assert.deepStrictEqual(open().getPlays('guild1').map(entry => entry.sound), ['wow.mp3', 'airhorn.mp3']);
+    assert.deepStrictEqual(open().getPlays('guild3'), []);
+});
+
+test('a torn last line in the play log is skipped with a warning', () => {
+    const storage = open();
+    const play = { guildId: 'guild1', channelId: 'lobby', userId: 'alice', trigger: 'join', playedAt: '2026-01-01T10:00:00.000Z' };
+    storage.recordPlay({ ...play, sound: 'wow.mp3' });
+    storage.recordPlay({ ...play, sound: 'bruh.mp3' });
+    appendFileSync(join(dir, 'unrk.plays.jsonl'), '{"guildId":"guild1","sou');
+
+    const warn = mock.method(silentLog, 'warn');
+    assert.deepStrictEqual(storage.getPlays('guild1').map(entry => entry.sound), ['wow.mp3', 'bruh.mp3']);
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /line 3 of/);
+    mock.restoreAll();
+});
@@ -0,0 +1,313 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { readFileSync, readdirSync, writeFileSync, mkdirSync } = require('fs');
+const { join } = require('path');
+const AdmZip = require('adm-zip');
+const { createTestBot, createInteraction, createMember, createVoiceChannel, moveMember, silentLog } = require('./harness');
+const { IngestError } = require('../src/ingest');
+const { ImportError, exportGuild, importGuild } = require('../src/transfer');
+
+// Enough of an MP3 for format detection
+const MP3 = Buffer.from('ID3\u0004\u0000\u0000\u0000\u0000\u0000\u0000fake audio');
+
+let bot;
+let alice;
+
+beforeEach(() => {
+    bot = createTestBot();
+    bot.addVoiceChannel({ id: 'lobby' });
+    alice = bot.addMember({ id: 'alice' });
+});
+
+afterEach(() => bot.cleanup());
+
+// Put a sound into the guild's own uploads
+function upload(guildId, sound, info = {}) {
+    const dir = bot.context.library.getGuildDir(guildId);
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, sound), MP3);
+    bot.context.library.add(guildId, sound, { uploadedAt: new Date().toISOString(), ...info });
+}
+
+function run(guild, member, subcommand, options = {}, extra = {}) {
+    const interaction = createInteraction({ guild, member, subcommand, options, manageGuild: true, ...extra });
+    return bot.handleInteraction(interaction).then(() => interaction);
+}
+
+function importInto(guildId, archive, options = {}) {
+    const { storage, library, ingestBuffer } = bot.context;
+    return importGuild(archive, { guildId, storage, library, ingest: ingestBuffer, log: silentLog, ...options });
+}
+
+test('export and import carry sounds, mappings, playlists and rules to another guild', async () => {
+    const { storage, library } = bot.context;
+    upload(bot.guild.id, 'clip.mp3', { tags: ['meme'], volume: 80 });
+    const guild = storage.getGuild(bot.guild.id);
+    guild.userSounds.alice = { join: { sounds: [{ name: 'clip.mp3', weight: 1 }] } };
+    guild.channelSounds.lobby = { join: { sounds: [{ name: 'wow.mp3', weight: 1 }] } };
+    guild.playlists.best = { sounds: [{ name: 'clip.mp3', weight: 1 }, { name: 'wow.mp3', weight: 2 }] };
+    storage.saveGuild(bot.guild.id);
+
+    const exported = await run(bot.guild, alice, 'export');
+    const archive = exported.replies.at(-1).files[0].attachment;
+
+    const other = bot.addGuild({ id: 'guild2' });
+    createVoiceChannel(other, { id: 'other-lobby' });
+    const summary = await importInto(other.id, archive, { channelIds: ['other-lobby'] });
+
+    assert.deepStrictEqual(summary.added, ['clip.mp3']);
+    assert.strictEqual(summary.playlists, 1);
+    assert.strictEqual(summary.mappings, 1);
+    assert.strictEqual(summary.dropped, 1);
+
+    assert.deepStrictEqual(readFileSync(library.getPath(other.id, 'clip.mp3')), MP3);
+    const imported = storage.getGuild(other.id);
+    assert.deepStrictEqual(imported.sounds['clip.mp3'].tags, ['meme']);
+    assert.strictEqual(imported.sounds['clip.mp3'].volume, 80);
+    assert.deepStrictEqual(imported.userSounds.alice.join, { sounds: [{ name: 'clip.mp3', weight: 1 }] });
+    assert.deepStrictEqual(imported.channelSounds, {});
+    assert.deepStrictEqual(imported.playlists.best, guild.playlists.best);
+});
+
+test('shared sounds are left out of the archive but keep their metadata', () => {
+    const { storage, library } = bot.context;
+    library.updateInfo(bot.guild.id, 'wow.mp3', { tags: ['classic'] });
+    const zip = new AdmZip(exportGuild(bot.guild.id, { storage, library, guildName: 'Test server' }));
+
+    assert.deepStrictEqual(zip.getEntries().map(entry => entry.entryName), ['unrk-export.json']);
+    const manifest = JSON.parse(zip.readAsText('unrk-export.json'));
+    assert.deepStrictEqual(manifest.sounds['wow.mp3'].tags, ['classic']);
+});
+
+test('conflicting sounds are skipped, renamed or overwritten as asked', async () => {
+    const { storage, library } = bot.context;
+    upload(bot.guild.id, 'clip.mp3');
+    storage.getGuild(bot.guild.id).rules = [];
+    const archive = exportGuild(bot.guild.id, { storage, library, guildName: 'Test server' });
+    storage.getGuild(bot.guild.id).userSounds.alice = { join: { sounds: [{ name: 'clip.mp3', weight: 1 }] } };
+    storage.saveGuild(bot.guild.id);
+
+    const skipped = await importInto(bot.guild.id, archive);
+    assert.deepStrictEqual(skipped.skipped, ['clip.mp3']);
+
+    const renamed = await importInto(bot.guild.id, archive, { conflict: 'rename' });
+    assert.deepStrictEqual(renamed.renamed, [['clip.mp3', 'clip-2.mp3']]);
+    assert.ok(library.has(bot.guild.id, 'clip-2.mp3'));
+
+    writeFileSync(library.getPath(bot.guild.id, 'clip.mp3'), 'changed');
+    const overwritten = await importInto(bot.guild.id, archive, { conflict: 'overwrite' });
+    assert.deepStrictEqual(overwritten.overwritten, ['clip.mp3']);
+    assert.deepStrictEqual(readFileSync(library.getPath(bot.guild.id, 'clip.mp3')), MP3);
+
+    await assert.rejects(importInto(bot.guild.id, archive, { conflict: 'merge' }), ImportError);
+});
+
+test('renamed sounds take their mappings with them', async () => {
+    const { storage, library } = bot.context;
+    upload(bot.guild.id, 'clip.mp3');
+    storage.getGuild(bot.guild.id).userSounds.bob = { leave: { sounds: [{ name: 'clip.mp3', weight: 1 }] } };
+    storage.saveGuild(bot.guild.id);
+    const archive = exportGuild(bot.guild.id, { storage, library, guildName: 'Test server' });
+    delete storage.getGuild(bot.guild.id).userSounds.bob;
+
+    await importInto(bot.guild.id, archive, { conflict: 'rename' });
+    assert.deepStrictEqual(storage.getGuild(bot.guild.id).userSounds.bob.leave, {
+        sounds: [{ name: 'clip-2.mp3', weight: 1 }]
+    });
+});
+
+test('rules and role mappings for roles the guild lacks are dropped', async () => {
+    const { storage, library } = bot.context;
+    const guild = storage.getGuild(bot.guild.id);
+    guild.roleSounds.mods = { join: { sounds: [{ name: 'wow.mp3', weight: 1 }] } };
+    guild.roleSounds.vips = { join: { sounds: [{ name: 'bruh.mp3', weight: 1 }] } };
+    guild.rules = [
+        { id: 1, event: 'join', conditions: { roleId: 'mods' }, pool: { sounds: [{ name: 'wow.mp3', weight: 1 }] } },
+        { id: 2, event: 'join', conditions: { roleId: 'vips' }, pool: { sounds: [{ name: 'bruh.mp3', weight: 1 }] } }
+    ];
+    const archive = exportGuild(bot.guild.id, { storage, library, guildName: 'Test server' });
+
+    const other = bot.addGuild({ id: 'guild2' });
+    const summary = await importInto(other.id, archive, { roleIds: ['mods'] });
+
+    assert.strictEqual(summary.dropped, 2);
+    assert.strictEqual(summary.rules, 1);
+    assert.deepStrictEqual(Object.keys(storage.getGuild(other.id).roleSounds), ['mods']);
+    assert.strictEqual(storage.getGuild(other.id).rules[0].conditions.roleId, 'mods');
+});
+
+test('archives that are not exports are refused and bad sound entries left out', async () => {
+    await assert.rejects(importInto(bot.guild.id, Buffer.from('not a zip')), /not a zip archive/);
+
+    const empty = new AdmZip();
+    empty.addFile('readme.txt', Buffer.from('hello'));
+    await assert.rejects(importInto(bot.guild.id, empty.toBuffer()), /has no unrk-export.json/);
+
+    const future = new AdmZip();
+    future.addFile('unrk-export.json', Buffer.from(JSON.stringify({ format: 'unrk-export', version: 99 })));
+    await assert.rejects(importInto(bot.guild.id, future.toBuffer()), /export version 99/);
+
+    const sneaky = new AdmZip();
+    sneaky.addFile('unrk-export.json', Buffer.from(JSON.stringify({ format: 'unrk-export', version: 1 })));
+    sneaky.addFile('sounds/nested/evil.mp3', MP3);
+    sneaky.addFile('sounds/notes.mp3', Buffer.from('plain text, not audio'));
+    const summary = await importInto(bot.guild.id, sneaky.toBuffer());
+    assert.deepStrictEqual(summary.invalid, ['nested/evil.mp3', 'notes.mp3']);
+    assert.deepStrictEqual(summary.added, []);
+
+    const interaction = await run(bot.guild, alice, 'import', { file: { name: 'x.zip', contents: 'not a zip' } });
+    assert.strictEqual(interaction.replies.at(-1).content, 'That file is not a zip archive.');
+});
+
+// An export archive with the given manifest fields and sound files
+function buildArchive(fields, sounds = {}) {
+    const zip = new AdmZip();
+    zip.addFile('unrk-export.json', Buffer.from(JSON.stringify({ format: 'unrk-export', version: 1, ...fields })));
+    for (const [name, data] of Object.entries(sounds)) {
+        zip.addFile(`sounds/${name}`, data);
+    }
+    return zip.toBuffer();
+}
+
+test('malformed manifests are refused before any sound or setting is touched', async () => {
+    const { storage, library } = bot.context;
+    const before = JSON.stringify(storage.getGuild(bot.guild.id));
+    const pool = { sounds: [{ name: 'wow.mp3', weight: 1 }] };
+    const manifests = [
+        { userSounds: { u: { join: 'garbage' } } },
+        { userSounds: { u: { wave: pool } } },
+        { rules: [{ event: 'join', conditions: {}, pool: 42 }] },
+        { rules: [{ event: 'join', conditions: { days: 'mon' }, pool }] },
+        { playlists: { p: null } },
+        { playlists: { 'Road Trip': { sounds: [] } } },
+        { playlists: { p: { sounds: [{ name: 'wow.mp3', weight: 0 }] } } },
+        { channelSounds: { lobby: { join: { playlist: 'missing' } } } },
+        { defaultSounds: { join: { sounds: [] } } },
+        { sounds: { 'wow.mp3': { volume: 'loud' } } },
+        { roleSounds: JSON.parse('{"__proto__": {"join": {"sounds": [{"name": "wow.mp3", "weight": 1}]}}}') },
+        { playlists: JSON.parse('{"__proto__": {"sounds": []}}') }
+    ];
+
+    for (const manifest of manifests) {
+        const archive = buildArchive(manifest, { 'new.mp3': MP3 });
+        await assert.rejects(importInto(bot.guild.id, archive), error =>
+            error instanceof ImportError && /^That archive is damaged/.test(error.message), JSON.stringify(manifest));
+    }
+    assert.ok(!library.has(bot.guild.id, 'new.mp3'));
+    assert.strictEqual(JSON.stringify(storage.getGuild(bot.guild.id)), before);
+    assert.strictEqual(Object.getPrototypeOf(storage.getGuild(bot.guild.id).roleSounds), Object.prototype);
+});
+
+test('imported sounds go through the same checks and normalization as uploads', async () => {
+    const { storage, library } = bot.context;
+    const references = [];
+    const ingest = async (data, { filePath, referencePath }) => {
+        references.push(referencePath);
+        if (data.includes('too long')) {
+            throw new IngestError('That clip is 30.0 seconds long.');
+        }
+        mkdirSync(join(filePath, '..'), { recursive: true });
+        writeFileSync(filePath, 'normalized');
+        return { format: 'mp3', duration: 2.5 };
+    };
+    const archive = buildArchive({ sounds: { 'short.mp3': { duration: 99 } } }, {
+        'short.mp3': MP3,
+        'long.mp3': Buffer.concat([MP3, Buffer.from('too long')])
+    });
+
+    const summary = await importInto(bot.guild.id, archive, { ingest, referencePath: 'reference.mp3' });
+    assert.deepStrictEqual(summary.added, ['short.mp3']);
+    assert.deepStrictEqual(summary.invalid, ['long.mp3']);
+    assert.deepStrictEqual(references, ['reference.mp3', 'reference.mp3']);
+    assert.strictEqual(readFileSync(library.getPath(bot.guild.id, 'short.mp3'), 'utf8'), 'normalized');
+    assert.strictEqual(storage.getGuild(bot.guild.id).sounds['short.mp3'].duration, 2.5);
+
+    // Nothing is left of the rejected sound or the staging folder
+    assert.deepStrictEqual(readdirSync(library.getGuildDir(bot.guild.id)), ['short.mp3']);
+});
+
+test('renamed playlists keep playlist names and their mappings follow them', async () => {
+    const { storage } = bot.context;
+    storage.getGuild(bot.guild.id).playlists['road--trip'] = { sounds: [] };
+    const archive = buildArchive({
+        playlists: { 'road--trip': { sounds: [{ name: 'wow.mp3', weight: 1 }], schedule: { start: '12-01', end: '12-31' } } },
+        userSounds: { bob: { join: { playlist: 'road--trip' } } }
+    });
+
+    await importInto(bot.guild.id, archive, { conflict: 'rename' });
+    const { playlists, userSounds } = storage.getGuild(bot.guild.id);
+    assert.deepStrictEqual(Object.keys(playlists), ['road--trip', 'road--trip-2']);
+    assert.deepStrictEqual(playlists['road--trip-2'].schedule, { start: '12-01', end: '12-31' });
+    assert.deepStrictEqual(userSounds.bob.join, { playlist: 'road--trip-2' });
+});
+
+test('mappings and rules for sounds the guild will not have are left out', async () => {
+    const { storage } = bot.context;
+    const archive = buildArchive({
+        userSounds: {
+            bob: { join: { sounds: [{ name: 'gone.mp3', weight: 1 }] } },
+            carol: { join: { sounds: [{ name: 'gone.mp3', weight: 1 }, { name: 'wow.mp3', weight: 2 }] } }
+        },
+        rules: [{ event: 'leave', conditions: {}, pool: { sounds: [{ name: 'hub/gone.mp3', weight: 1 }] } }]
+    });
+
+    const summary = await importInto(bot.guild.id, archive);
+    assert.strictEqual(summary.dropped, 2);
+    assert.strictEqual(summary.mappings, 1);
+    assert.deepStrictEqual(storage.getGuild(bot.guild.id).userSounds, {
+        carol: { join: { sounds: [{ name: 'wow.mp3', weight: 2 }] } }
+    });
+    assert.deepStrictEqual(storage.getGuild(bot.guild.id).rules, []);
+});
+
+test('export and import need the library permission', async () => {
+    const denied = await run(bot.guild, alice, 'export', {}, { manageGuild: false });
+    assert.match(denied.replies[0].content, /permission.*share the sound library/);
+});
+
+test('subscribed guilds list, map and play the public sounds of a shared library', async () => {
+    const { storage, library } = bot.context;
+    upload(bot.guild.id, 'clip.mp3');
+    upload(bot.guild.id, 'secret.mp3');
+
+    await run(bot.guild, alice, 'enable', { name: 'Meme Hub' }, { group: 'share' });
+    await run(bot.guild, alice, 'publish', { sound: 'clip.mp3' }, { group: 'share' });
+    assert.strictEqual(storage.getGuild(bot.guild.id).settings.sharing.name, 'meme-hub');
+    assert.deepStrictEqual(library.listPublic(bot.guild.id), ['clip.mp3']);
+
+    const other = bot.addGuild({ id: 'guild2' });
+    const lobby = createVoiceChannel(other, { id: 'other-lobby' });
+    bot.client.channels.cache.set(lobby.id, lobby);
+    const bob = createMember(other, { id: 'bob' });
+
+    const subscribed = await run(other, bob, 'subscribe', { library: 'meme-hub' }, { group: 'share' });
+    assert.match(subscribed.replies[0].content, /Subscribed to 'meme-hub'/);
+    assert.ok(library.has(other.id, 'meme-hub/clip.mp3'));
+    assert.ok(!library.has(other.id, 'meme-hub/secret.mp3'));
+    assert.strictEqual(library.getPath(other.id, 'meme-hub/clip.mp3'), join(bot.soundsDir, bot.guild.id, 'clip.mp3'));
+    assert.strictEqual(library.getInfo(other.id, 'meme-hub/clip.mp3').library, 'meme-hub');
+
+    await run(other, bob, 'setsound', { type: 'user', sound: 'meme-hub/clip.mp3' });
+    await bot.handleVoiceStateUpdate(...moveMember(bob, lobby));
+    assert.strictEqual(bot.playback.played[0].name, 'meme-hub/clip.mp3');
+    assert.strictEqual(bot.playback.played[0].filePath, join(bot.soundsDir, bot.guild.id, 'clip.mp3'));
+
+    // Unpublishing takes the sound away from subscribers
+    await run(bot.guild, alice, 'unpublish', { sound: 'clip.mp3' }, { group: 'share' });
+    assert.ok(!library.has(other.id, 'meme-hub/clip.mp3'));
+});
+
+test('library names are unique and a guild cannot subscribe to itself', async () => {
+    await run(bot.guild, alice, 'enable', { name: 'hub' }, { group: 'share' });
+
+    const other = bot.addGuild({ id: 'guild2' });
+    const bob = createMember(other, { id: 'bob' });
+    const taken = await run(other, bob, 'enable', { name: 'hub' }, { group: 'share' });
+    assert.match(taken.replies[0].content, /already shares a library called 'hub'/);
+
+    const own = await run(bot.guild, alice, 'subscribe', { library: 'hub' }, { group: 'share' });
+    assert.match(own.replies[0].content, /own library/);
+
+    const missing = await run(other, bob, 'subscribe', { library: 'nope' }, { group: 'share' });
+    assert.match(missing.replies[0].content, /No server shares a library called 'nope'/);
+});
@@ -0,0 +1,48 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { readFileSync, writeFileSync, chmodSync, rmSync } = require('fs');
+const { join } = require('path');
+const { createTtsEngine } = require('../src/tts');
+const { createTempDir, silentLog } = require('./harness');
+
+let dir;
+let previousPath;
+
+// Stand-in for espeak-ng that writes the arguments and stdin it got into the -w file
+const FAKE_ESPEAK = `#!/usr/bin/env node
+const { writeFileSync } = require('fs');
+const args = process.argv.slice(2);
+let stdin = '';
+process.stdin.on('data', chunk => { stdin += chunk; });
+process.stdin.on('end', () => {
+    writeFileSync(args[args.indexOf('-w') + 1], JSON.stringify({ args, stdin }));
+});
+`;
+
+beforeEach(() => {
+    dir = createTempDir();
+    const enginePath = join(dir, 'espeak-ng');
+    writeFileSync(enginePath, FAKE_ESPEAK);
+    chmodSync(enginePath, 0o755);
+    previousPath = process.env.ESPEAK_PATH;
+    process.env.ESPEAK_PATH = enginePath;
+});
+
+afterEach(() => {
+    if (previousPath === undefined) {
+        delete process.env.ESPEAK_PATH;
+    } else {
+        process.env.ESPEAK_PATH = previousPath;
+    }
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test('espeak gets the text on stdin, never as an argument', async () => {
+    const tts = createTtsEngine({ cacheDir: join(dir, 'cache'), voice: 'en-us', log: silentLog });
+    const text = `-f${join(dir, '.env')}`;
+    const { args, stdin } = JSON.parse(readFileSync(await tts.render(text), 'utf8'));
+
+    assert.strictEqual(stdin, text);
+    assert.ok(!args.includes(text));
+    assert.deepStrictEqual(args.filter(arg => arg.startsWith('-')), ['-v', '-w', '--stdin']);
+});
@@ -0,0 +1,124 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createPool } = require('../src/pools');
+const { createTestBot, moveMember } = require('./harness');
+
+let bot;
+let lobby;
+let gaming;
+
+beforeEach(() => {
+    bot = createTestBot();
+    lobby = bot.addVoiceChannel({ id: 'lobby' });
+    gaming = bot.addVoiceChannel({ id: 'gaming' });
+});
+
+afterEach(() => bot.cleanup());
+
+function setSound(mapping, id, event, sound) {
+    const guild = bot.storage.getGuild(bot.guild.id);
+    guild[mapping][id] = { ...guild[mapping][id], [event]: createPool(sound) };
+}
+
+test('joining plays the member\'s own sound in the channel joined', async () => {
+    const member = bot.addMember({ id: 'alice' });
+    setSound('userSounds', 'alice', 'join', 'bruh.mp3');
+
+    await bot.handleVoiceStateUpdate(...moveMember(member, lobby));
+
+    assert.strictEqual(bot.playback.played.length, 1);
+    const [item] = bot.playback.played;
+    assert.strictEqual(item.name, 'bruh.mp3');
+    assert.strictEqual(item.channel, lobby);
+    assert.strictEqual(item.userId, 'alice');
+    assert.strictEqual(item.trigger, 'join');
+});
+
+test('joining without any sound set plays a random library sound', async () => {
+    const member = bot.addMember({ id: 'alice' });
+
+    await bot.handleVoiceStateUpdate(...moveMember(member, lobby));
+
+    assert.strictEqual(bot.playback.played.length, 1);
+    assert.ok(['airhorn.mp3', 'bruh.mp3', 'wow.mp3'].includes(bot.playback.played[0].name));
+});
+
+test('a move plays the move sound in the new channel, and a leave plays in the old one', async () => {
+    const member = bot.addMember({ id: 'alice' });
+    const friend = bot.addMember({ id: 'bob' });
+    moveMember(friend, gaming);
+    setSound('userSounds', 'alice', 'move', 'wow.mp3');
+    setSound('userSounds', 'alice', 'leave', 'airhorn.mp3');
+    bot.storage.getGuild(bot.guild.id).settings.joinLimits = { userCooldown: 0, channelCooldown: 0 };
+
+    moveMember(member, lobby);
+    await bot.handleVoiceStateUpdate(...moveMember(member, gaming));
+    await bot.handleVoiceStateUpdate(...moveMember(member, null));
+
+    assert.deepStrictEqual(
+        bot.playback.played.map(item => [item.trigger, item.name, item.channel.id]),
+        [['move', 'wow.mp3', 'gaming'], ['leave', 'airhorn.mp3', 'gaming']]
+    );
+});
+
+test('leaving an empty channel plays nothing', async () => {
+    const member = bot.addMember({ id: 'alice' });
+    setSound('userSounds', 'alice', 'leave', 'airhorn.mp3');
+    moveMember(member, lobby);
+
+    await bot.handleVoiceStateUpdate(...moveMember(member, null));
+
+    assert.strictEqual(bot.playback.played.length, 0);
+});
+
+test('mute and deafen changes are not voice events', async () => {
+    const member = bot.addMember({ id: 'alice' });
+    moveMember(member, lobby);
+
+    await bot.handleVoiceStateUpdate(...moveMember(member, lobby));
+
+    assert.strictEqual(bot.playback.played.length, 0);
+});
+
+test('the bot\'s own joins and other bots are ignored unless the guild opted in', async () => {
+    const self = bot.addMember({ id: 'bot', bot: true });
+    const other = bot.addMember({ id: 'music', bot: true });
+
+    await bot.handleVoiceStateUpdate(...moveMember(self, lobby));
+    await bot.handleVoiceStateUpdate(...moveMember(other, lobby));
+    assert.strictEqual(bot.playback.played.length, 0);
+
+    bot.storage.getGuild(bot.guild.id).settings.voiceEvents = { bots: true };
+    await bot.handleVoiceStateUpdate(...moveMember(other, gaming));
+    assert.strictEqual(bot.playback.played.length, 1);
+});
+
+test('the user cooldown suppresses a quick rejoin', async () => {
+    const member = bot.addMember({ id: 'alice' });
+
+    await bot.handleVoiceStateUpdate(...moveMember(member, lobby));
+    await bot.handleVoiceStateUpdate(...moveMember(member, null));
+    await bot.handleVoiceStateUpdate(...moveMember(member, lobby));
+
+    assert.strictEqual(bot.playback.played.length, 1);
+});
+
+test('spoken sounds are rendered with the member and channel filled in', async () => {
+    const member = bot.addMember({ id: 'alice', displayName: 'Alice' });
+    setSound('userSounds', 'alice', 'join', 'tts:{user} joined {channel}');
+
+    await bot.handleVoiceStateUpdate(...moveMember(member, lobby));
+
+    assert.deepStrictEqual(bot.tts.rendered, ['Alice joined channellobby']);
+    assert.strictEqual(bot.playback.played.length, 1);
+});
+
+test('the bot leaves once only bots are left in its channel', async () => {
+    const member = bot.addMember({ id: 'alice' });
+
+    await bot.handleVoiceStateUpdate(...moveMember(member, lobby));
+    assert.strictEqual(bot.playback.getChannelId(bot.guild.id), 'lobby');
+
+    await bot.handleVoiceStateUpdate(...moveMember(member, null));
+    assert.strictEqual(bot.playback.getChannelId(bot.guild.id), null);
+});